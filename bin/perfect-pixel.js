@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// Run the design comparisons listed in a config file without the HTTP server
+const { main } = require('../src/cli');
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -1,15 +1,35 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const puppeteer = require('puppeteer');
-const pixelmatch = require('pixelmatch');
-const { PNG } = require('pngjs');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
+const { browserPool } = require('./src/browserPool');
+const { runComparison, capturePage, describeError } = require('./src/compare');
+const { jobManager } = require('./src/jobs');
+const { parseCompareOptions } = require('./src/options');
+const { parseTextLayers, collectTextBoxes } = require('./src/text');
+const { parseSteps, runSteps } = require('./src/steps');
+const { parseFigmaSource, createFigmaClient, extractDesignSpec } = require('./src/figma');
+const { parseTokenSet, collectStyleUsage, checkConformance } = require('./src/tokens');
+const { parseStyleSpec, parseTolerances, collectSpecStyles, diffStyles } = require('./src/styleDiff');
+const { baselineStore, viewportKey, parseViewportKey } = require('./src/baselines');
+const { resultStore } = require('./src/resultStore');
+const { parseBreakpoints, runBreakpointBatch, MAX_BREAKPOINTS } = require('./src/batch');
+const { parseStorybookOptions, planStorybookSweep, runStorybookSweep } = require('./src/storybook');
+const { renderResultReport, renderBatchReport, MAX_EMBEDDED_RESULTS } = require('./src/report');
+const { urlPolicy } = require('./src/urlPolicy');
+const { apiKeyStore, usageTracker } = require('./src/apiKeys');
+const { authenticate, captureLimit, chargeCaptures, withCaptureSlot, projectAccess, requireAdmin, API_KEY_REQUIRED } = require('./src/auth');
+const { webhookStore, webhookDispatcher, parseCallback, notify } = require('./src/webhooks');
+const { parseSessionOptions, prepareSession, headersFor, loginStore, sessionCache } = require('./src/session');
+const { CancelledError } = require('./src/errors');
+const { isTruthy, parseJsonField } = require('./src/utils');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Base of absolute links in reports and webhook payloads
+const PUBLIC_URL = process.env.PUBLIC_URL ? new URL(process.env.PUBLIC_URL).href.replace(/\/+$/, '') : null;
 
 // Middleware - CORS configuration
 app.use(cors({
@@ -20,243 +40,580 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// API keys and per-key rate limits for everything under /api
+app.use('/api', authenticate);
+
 // Handle preflight requests
 app.options('*', cors());
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
+const fileFilter = (req, file, cb) => {
+  // Text layers come as a JSON spec or an SVG export. Clients often send them
+  // as application/octet-stream, so parseTextLayers checks the content instead.
+  if (file.fieldname === 'designText') {
+    return cb(null, true);
+  }
+
+  const allowedTypes = ['image/png', 'image/jpeg', 'image/webp'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only PNG, JPEG, WebP allowed.'));
+  }
+};
 const upload = multer({
   storage,
   limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/png', 'image/jpeg', 'image/webp'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PNG, JPEG, WebP allowed.'));
-    }
-  }
+  fileFilter
 });
 
-// Store for temporary results
-const resultsStore = new Map();
+// Storybook sweeps upload many designs in one request and may keep them for
+// the whole job, so they get fewer, smaller files and a cap on the total.
+// Stories beyond the uploads can still be compared against baselines.
+const MAX_SWEEP_DESIGNS = 100;
+const MAX_SWEEP_UPLOAD_BYTES = 100 * 1024 * 1024;
+const sweepUpload = multer({
+  storage,
+  limits: { files: MAX_SWEEP_DESIGNS, fileSize: 5 * 1024 * 1024 },
+  fileFilter
+});
 
-// Cleanup old results every 30 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of resultsStore.entries()) {
-    if (now - value.timestamp > 30 * 60 * 1000) {
-      resultsStore.delete(key);
+function sweepDesigns(req, res, next) {
+  const tooLarge = () => res.status(413).json({ error: `Sweep uploads may add up to ${MAX_SWEEP_UPLOAD_BYTES / 1024 / 1024}MB` });
+  // Refuse an announced oversized body before buffering any of it
+  if (parseInt(req.get('content-length')) > MAX_SWEEP_UPLOAD_BYTES) return tooLarge();
+
+  sweepUpload.array('designs', MAX_SWEEP_DESIGNS)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code) ? 413 : 400;
+      return res.status(status).json({ error: `${error.message} (at most ${MAX_SWEEP_DESIGNS} designs of 5MB each)` });
     }
-  }
+    if (error) return next(error);
+
+    if ((req.files || []).reduce((total, file) => total + file.size, 0) > MAX_SWEEP_UPLOAD_BYTES) {
+      req.files = null;
+      return tooLarge();
+    }
+    next();
+  });
+}
+
+// Cleanup expired results and finished jobs every 30 minutes
+setInterval(() => {
+  resultStore.purge().catch(error => console.error('[Results] Purge failed:', error));
+  jobManager.purge();
 }, 30 * 60 * 1000);
 
+// Clients get images inline as data URIs unless they ask for images=url
+function wantsInlineImages(req) {
+  return (req.body?.images ?? req.query.images) !== 'url';
+}
+
+// Absolute base for links stored in reports and sent out of band (webhooks).
+// The Host header is the client's to choose, so it is only a fallback when
+// PUBLIC_URL is not configured, and only if it looks like a host name.
+function publicUrl(req) {
+  if (PUBLIC_URL) return PUBLIC_URL;
+  const host = req.get('host');
+  return /^([a-z0-9.-]+|\[[0-9a-f:.]+\])(:\d+)?$/i.test(host || '') ? `${req.protocol}://${host}` : '';
+}
+
+// The project a request works for: the API key's, else the one it names
+function requestProject(req) {
+  return req.apiKey?.project || req.params.project || req.body?.project;
+}
+
+// Results, batches and jobs belong to the project they ran for; a key only
+// sees its own project's, anything else answers as if it did not exist
+function visibleTo(req, record) {
+  return !req.apiKey || record.project === req.apiKey.project;
+}
+
+// HTML reports open in the browser, or download as a file with ?download=1
+function sendReport(req, res, filename, html) {
+  if (isTruthy(req.query.download)) {
+    res.attachment(filename);
+  }
+  res.type('html').send(html);
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), pool: browserPool.stats() });
 });
 
-// Main comparison endpoint
-app.post('/api/compare', upload.single('design'), async (req, res) => {
-  let browser = null;
+// Run work and answer with its stored result. With async=true (form field or
+// query) the work becomes a background job and only the job id is returned.
+// `captures` is how many pages the work will capture, for the key's quota.
+async function runOrQueue(req, res, { type, url, captures = 1 }, work) {
+  // Disallowed targets are refused up front, before a job is queued
+  await urlPolicy.check(url);
+
+  // The outcome goes to callbackUrl and the project's webhooks as well
+  const callback = await parseCallback(req.body);
+  // Only a request that got this far counts against the quota
+  chargeCaptures(req, res, captures);
+  const hooks = { callback, project: requestProject(req), baseUrl: publicUrl(req) };
+  const sendHooks = extra => notify({ ...hooks, ...extra }).catch(error => console.error('[Webhooks] Error:', error));
+
+  if (isTruthy(req.body.async ?? req.query.async)) {
+    // The job, not the response, holds the key's capture slot from here on
+    const slot = req.captureSlot;
+    if (slot) slot.detached = true;
+
+    const job = jobManager.create(type, async (job, { signal, setPhase }) => {
+      try {
+        const outcome = await work({ onPhase: setPhase, signal });
+        sendHooks({ outcome, jobId: job.id });
+        return outcome;
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+        sendHooks({ error: describeError(error), jobId: job.id });
+        throw new Error(describeError(error));
+      } finally {
+        slot?.release();
+      }
+    }, { url, project: hooks.project });
 
+    console.log(`[Jobs] Queued ${type} job ${job.id} for ${url}`);
+
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      cancelUrl: `/api/jobs/${job.id}/cancel`
+    });
+  }
+
+  // The capture stops if the client disconnects before the answer is sent
+  let result;
   try {
-    const { url, username, password, width, height } = req.body;
-    const designBuffer = req.file?.buffer;
+    result = await withCaptureSlot(req, signal => work({ signal }));
+  } catch (error) {
+    // Failures reach the callback and webhooks here too, as they do for jobs
+    if (!(error instanceof CancelledError)) sendHooks({ error: describeError(error) });
+    throw error;
+  }
+  sendHooks({ outcome: result });
+  res.json(await resultStore.present(result, { inline: wantsInlineImages(req) }));
+}
+
+// Run a comparison and store its result; `extra` is merged into the stored result
+function startComparison(req, res, options, extra = {}) {
+  return runOrQueue(req, res, { type: 'compare', url: options.url }, async (runOptions) => {
+    const result = { ...(await runComparison(options, runOptions)), ...extra };
+    // Store result for later retrieval
+    return resultStore.save(result);
+  });
+}
+
+// Main comparison endpoint
+// Pass async=true (form field or query) to get a job id back instead of waiting for the result.
+// Instead of uploading `design`, figmaUrl or figmaFileKey + figmaNodeId name a Figma frame.
+app.post('/api/compare', captureLimit, upload.fields([{ name: 'design', maxCount: 1 }, { name: 'designText', maxCount: 1 }]), async (req, res) => {
+  try {
+    const designBuffer = req.files?.design?.[0]?.buffer;
+    const figma = designBuffer ? null : parseFigmaSource(req.body);
+    // Optional text layers (JSON spec or SVG export) to diff the page copy against
+    const designText = parseTextLayers(req.files?.designText?.[0]?.buffer ?? req.body.designText);
 
     // Validation
-    if (!designBuffer) {
-      return res.status(400).json({ error: 'Design image is required' });
+    if (!designBuffer && !figma) {
+      return res.status(400).json({ error: 'Design image or Figma frame is required' });
     }
-    if (!url) {
+    if (!req.body.url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    const viewportWidth = Math.min(parseInt(width) || 1920, 3840);
-    const viewportHeight = Math.min(parseInt(height) || 1080, 15000); // Max 15000px to prevent memory issues
+    await startComparison(req, res, { ...parseCompareOptions(req.body, { project: requestProject(req) }), designBuffer, figma, designText });
 
-    console.log(`[Compare] Starting comparison for ${url} at ${viewportWidth}x${viewportHeight}`);
+  } catch (error) {
+    console.error('[Compare] Error:', error);
 
-    // Launch browser
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--disable-background-networking',
-        '--disable-default-apps',
-        '--disable-sync',
-        '--no-first-run',
-        '--single-process'
-      ],
-      timeout: 60000
+    res.status(error.status || 500).json({
+      error: describeError(error),
+      steps: error.steps,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  }
+});
 
-    const page = await browser.newPage();
+// Layout, text styles and fills of a Figma frame, shaped like /api/inspect output
+app.post('/api/figma/spec', async (req, res) => {
+  try {
+    const figma = parseFigmaSource(req.body);
+    if (!figma) {
+      return res.status(400).json({ error: 'figmaUrl or figmaFileKey and figmaNodeId are required' });
+    }
 
-    // Set viewport
-    await page.setViewport({ width: viewportWidth, height: viewportHeight });
+    const node = await createFigmaClient(figma.token).getNode(figma.fileKey, figma.nodeId);
+    res.json({ fileKey: figma.fileKey, nodeId: figma.nodeId, ...extractDesignSpec(node) });
+  } catch (error) {
+    console.error('[Figma] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Handle HTTP Basic Auth
-    if (username && password) {
-      await page.authenticate({ username, password });
-    }
+// Responsive batch: one design per breakpoint, all captured in one browser session.
+// `breakpoints` is a JSON array of { name, width, height, device, deviceScaleFactor,
+// isMobile, hasTouch, userAgent, design }; designs are matched by file name or order.
+app.post('/api/compare/batch', captureLimit, upload.array('designs', MAX_BREAKPOINTS), async (req, res) => {
+  try {
+    const files = req.files || [];
 
-    // Navigate to URL with retry
-    console.log(`[Compare] Navigating to ${url}...`);
-    try {
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 90000 // 90 seconds
-      });
-    } catch (navError) {
-      // If networkidle2 fails, try with 'load' event
-      console.log('[Compare] networkidle2 timeout, retrying with load event...');
-      await page.goto(url, {
-        waitUntil: 'load',
-        timeout: 90000
-      });
-      // Wait extra time for content
-      await new Promise(resolve => setTimeout(resolve, 3000));
+    if (!files.length) {
+      return res.status(400).json({ error: 'At least one design image is required' });
+    }
+    if (!req.body.url) {
+      return res.status(400).json({ error: 'URL is required' });
     }
 
-    // Wait a bit for any animations/lazy loading
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const options = parseCompareOptions(req.body, { project: requestProject(req) });
+    const breakpoints = parseBreakpoints(parseJsonField(req.body.breakpoints, 'breakpoints'), files, req.body);
 
-    // Determine if full page screenshot is needed (height > 2000px)
-    const isFullPage = viewportHeight > 2000;
-    console.log(`[Compare] Taking ${isFullPage ? 'full page' : 'viewport'} screenshot...`);
+    await runOrQueue(req, res, { type: 'batch', url: options.url, captures: breakpoints.length }, runOptions =>
+      runBreakpointBatch(options, breakpoints, runOptions)
+    );
+  } catch (error) {
+    console.error('[Batch] Error:', error);
 
-    // Take screenshot
-    const screenshotBuffer = await page.screenshot({
-      type: 'png',
-      fullPage: isFullPage
+    res.status(error.status || 500).json({
+      error: describeError(error),
+      steps: error.steps,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  }
+});
 
-    await browser.close();
-    browser = null;
+// Storybook sweep: every story in the build's index.json (filtered by include/
+// exclude id patterns) at each of `viewports`, compared against a `designs`
+// upload named <storyId>.png or <storyId>@<viewport>.png, else against the
+// baseline <baselineProject>/<storyId>. Answers with a batch ranked by difference.
+app.post('/api/storybook/sweep', captureLimit, sweepDesigns, async (req, res) => {
+  try {
+    if (!req.body.storybookUrl) {
+      return res.status(400).json({ error: 'storybookUrl is required' });
+    }
+    const files = req.files || [];
+    if (!files.length && !req.body.baselineProject) {
+      return res.status(400).json({ error: 'Upload designs or name a baselineProject' });
+    }
 
-    console.log('[Compare] Screenshot captured, processing images...');
+    const options = parseCompareOptions(req.body, { project: requestProject(req) });
+    const sweep = parseStorybookOptions(req.body);
+    if (req.apiKey && sweep.baselineProject && sweep.baselineProject !== req.apiKey.project) {
+      return res.status(403).json({ error: `This API key belongs to project ${req.apiKey.project}` });
+    }
 
-    // Get actual dimensions from the screenshot
-    const screenshotMeta = await sharp(screenshotBuffer).metadata();
-    const actualWidth = screenshotMeta.width;
-    const actualHeight = screenshotMeta.height;
+    // Only stories with a design or baseline are captured, so only they are charged
+    const { stories, captures } = await planStorybookSweep(sweep, files);
 
-    // For full page, use actual screenshot dimensions
-    const compareWidth = isFullPage ? actualWidth : viewportWidth;
-    const compareHeight = isFullPage ? actualHeight : viewportHeight;
+    await runOrQueue(req, res, { type: 'batch', url: sweep.baseUrl, captures }, runOptions =>
+      runStorybookSweep(options, sweep, stories, files, runOptions)
+    );
+  } catch (error) {
+    console.error('[Storybook] Error:', error);
+    res.status(error.status || 500).json({ error: describeError(error) });
+  }
+});
 
-    console.log(`[Compare] Comparing at ${compareWidth}x${compareHeight}`);
+// Get stored batch summary
+app.get('/api/batch/:id', async (req, res) => {
+  try {
+    const batch = await resultStore.getBatch(req.params.id);
+    if (!batch || !visibleTo(req, batch)) {
+      return res.status(404).json({ error: 'Batch not found or expired' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('[Batch] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Process design image - convert to PNG and resize to match
-    const designProcessed = await sharp(designBuffer)
-      .resize(compareWidth, compareHeight, { fit: 'cover', position: 'top', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-      .png()
-      .toBuffer();
+// Self-contained HTML report for every result in a batch; ?download=1 saves it
+app.get('/api/batch/:id/report.html', async (req, res) => {
+  try {
+    const batch = await resultStore.getBatch(req.params.id);
+    if (!batch || !visibleTo(req, batch)) {
+      return res.status(404).json({ error: 'Batch not found or expired' });
+    }
 
-    // Process screenshot
-    const screenshotProcessed = await sharp(screenshotBuffer)
-      .resize(compareWidth, compareHeight, { fit: 'cover', position: 'top', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-      .png()
-      .toBuffer();
+    // Only the first items are embedded; the report links the others
+    const results = {};
+    for (const item of batch.items.filter(item => item.resultId).slice(0, MAX_EMBEDDED_RESULTS)) {
+      const result = await resultStore.get(item.resultId);
+      if (result) results[item.resultId] = await resultStore.present(result, { inline: true });
+    }
 
-    // Parse PNGs for pixelmatch
-    const designPng = PNG.sync.read(designProcessed);
-    const screenshotPng = PNG.sync.read(screenshotProcessed);
+    sendReport(req, res, `perfect-pixel-batch-${batch.id}.html`, renderBatchReport(batch, results, { baseUrl: publicUrl(req) }));
+  } catch (error) {
+    console.error('[Batch] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Create diff image
-    const diffPng = new PNG({ width: compareWidth, height: compareHeight });
+// Get stored result
+app.get('/api/result/:id', async (req, res) => {
+  try {
+    const result = await resultStore.get(req.params.id);
+    if (!result || !visibleTo(req, result)) {
+      return res.status(404).json({ error: 'Result not found or expired' });
+    }
+    res.json(await resultStore.present(result, { inline: wantsInlineImages(req) }));
+  } catch (error) {
+    console.error('[Results] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const mismatchedPixels = pixelmatch(
-      designPng.data,
-      screenshotPng.data,
-      diffPng.data,
-      compareWidth,
-      compareHeight,
-      { threshold: 0.1, includeAA: false }
-    );
+// Self-contained HTML report with onion skin, swipe and zoomable region lists
+app.get('/api/result/:id/report.html', async (req, res) => {
+  try {
+    const result = await resultStore.get(req.params.id);
+    if (!result || !visibleTo(req, result)) {
+      return res.status(404).json({ error: 'Result not found or expired' });
+    }
+    const presented = await resultStore.present(result, { inline: true });
+    sendReport(req, res, `perfect-pixel-${result.id}.html`, renderResultReport(presented));
+  } catch (error) {
+    console.error('[Results] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const totalPixels = compareWidth * compareHeight;
-    const matchPercentage = ((totalPixels - mismatchedPixels) / totalPixels * 100).toFixed(2);
-    const diffPercentage = (mismatchedPixels / totalPixels * 100).toFixed(2);
+// Result images: design.png, screenshot.png, diff.png and overlay.png
+app.get('/api/result/:id/:image.png', async (req, res) => {
+  try {
+    const result = await resultStore.get(req.params.id);
+    const buffer = result && visibleTo(req, result) && await resultStore.getImage(req.params.id, req.params.image);
+    if (!buffer) {
+      return res.status(404).json({ error: 'Image not found or expired' });
+    }
+    res.type('png').send(buffer);
+  } catch (error) {
+    console.error('[Results] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`[Compare] Analysis complete. Match: ${matchPercentage}%, Diff: ${diffPercentage}%`);
+// Job status; the finished payload is the same one /api/result/:id serves
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = jobManager.get(req.params.id);
+    if (!job || !visibleTo(req, job.meta)) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    res.json({
+      ...jobManager.toJSON(job),
+      resultUrl: job.result ? `/api/${job.type === 'batch' ? 'batch' : 'result'}/${job.result.id}` : undefined,
+      result: job.result ? await resultStore.present(job.result, { inline: wantsInlineImages(req) }) : undefined
+    });
+  } catch (error) {
+    console.error('[Jobs] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Analyze differences by region
-    const regions = analyzeRegions(diffPng.data, compareWidth, compareHeight);
+// Stream job progress as Server-Sent Events until the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job || !visibleTo(req, job.meta)) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
 
-    // Convert images to base64
-    const diffBuffer = PNG.sync.write(diffPng);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (current) => {
+    const event = jobManager.isFinished(current) ? current.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(jobManager.toJSON(current))}\n\n`);
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    send(updated);
+    if (jobManager.isFinished(updated)) cleanup();
+  };
+
+  // Comment lines keep idle proxies from dropping the connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobManager.off('update', onUpdate);
+    res.end();
+  };
+
+  send(job);
+  if (jobManager.isFinished(job)) {
+    return cleanup();
+  }
 
-    const result = {
-      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-      timestamp: Date.now(),
-      designImage: `data:image/png;base64,${designProcessed.toString('base64')}`,
-      screenshotImage: `data:image/png;base64,${screenshotProcessed.toString('base64')}`,
-      diffImage: `data:image/png;base64,${diffBuffer.toString('base64')}`,
-      stats: {
-        totalPixels,
-        mismatchedPixels,
-        matchPercentage: parseFloat(matchPercentage),
-        diffPercentage: parseFloat(diffPercentage),
-        viewport: { width: compareWidth, height: compareHeight },
-        isFullPage
-      },
-      regions
-    };
+  jobManager.on('update', onUpdate);
+  req.on('close', cleanup);
+});
 
-    // Store result for later retrieval
-    resultsStore.set(result.id, result);
+// Cancel a queued or running job; closes its page if one is open
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job || !visibleTo(req, job.meta)) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  if (!jobManager.cancel(job.id)) {
+    return res.status(409).json({ ...jobManager.toJSON(job), error: `Job already ${job.status}` });
+  }
+  console.log(`[Jobs] Cancelled job ${job.id}`);
+  res.json(jobManager.toJSON(job));
+});
 
-    res.json(result);
+// Viewport a baseline is keyed by, from query or body (same defaults as compare)
+function baselineViewport(source) {
+  return {
+    width: Math.min(parseInt(source.width) || 1920, 3840),
+    height: Math.min(parseInt(source.height) || 1080, 15000)
+  };
+}
 
+// List baselines, optionally for one project
+app.get('/api/baselines', async (req, res) => {
+  try {
+    if (req.apiKey && req.query.project && req.query.project !== req.apiKey.project) {
+      return res.status(403).json({ error: `This API key belongs to project ${req.apiKey.project}` });
+    }
+    res.json({ baselines: await baselineStore.list(req.apiKey?.project || req.query.project) });
   } catch (error) {
-    console.error('[Compare] Error:', error);
+    console.error('[Baselines] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (e) {
-        console.error('[Compare] Error closing browser:', e);
+// Version history of one page's baselines across viewports
+app.get('/api/baselines/:project/:pageKey', projectAccess, async (req, res) => {
+  try {
+    const { project, pageKey } = req.params;
+    const viewports = await baselineStore.describe(project, pageKey);
+    if (!viewports.length) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+    res.json({ project, pageKey, viewports });
+  } catch (error) {
+    console.error('[Baselines] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Baseline image (current version unless ?version= is given)
+app.get('/api/baselines/:project/:pageKey/:viewport/image.png', projectAccess, async (req, res) => {
+  try {
+    const { project, pageKey } = req.params;
+    const viewport = parseViewportKey(req.params.viewport);
+    const { buffer } = await baselineStore.read(project, pageKey, viewport, req.query.version);
+    res.type('png').send(buffer);
+  } catch (error) {
+    console.error('[Baselines] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Approve a screenshot as the new baseline: either the screenshot of an
+// existing result (resultId) or a fresh capture of url
+app.post('/api/baselines/:project/:pageKey/approve', projectAccess, captureLimit, async (req, res) => {
+  try {
+    const { project, pageKey } = req.params;
+    const { resultId, url, note } = req.body;
+
+    let screenshotBuffer;
+    let viewport;
+    let source;
+
+    if (resultId) {
+      const result = await resultStore.get(resultId);
+      screenshotBuffer = result && visibleTo(req, result) && await resultStore.getImage(resultId, 'screenshot');
+      if (!screenshotBuffer) {
+        return res.status(404).json({ error: 'Result not found or expired' });
       }
+      // The result remembers the viewport it was captured at
+      viewport = result.capture && !req.body.width
+        ? { width: result.capture.width, height: result.capture.height }
+        : baselineViewport(req.body);
+      source = { resultId, url: result.capture?.url };
+    } else if (url) {
+      const options = parseCompareOptions(req.body, { project: requestProject(req) });
+      await urlPolicy.check(url);
+      chargeCaptures(req, res, 1);
+      const capture = await withCaptureSlot(req, signal => capturePage({ ...options, elementReport: false }, { signal }));
+      screenshotBuffer = capture.screenshotBuffer;
+      viewport = { width: options.viewportWidth, height: options.viewportHeight };
+      source = { url };
+    } else {
+      return res.status(400).json({ error: 'resultId or url is required' });
     }
 
-    // Better error messages
-    let errorMessage = error.message || 'An error occurred during comparison';
+    const { entry } = await baselineStore.approve(project, pageKey, viewport, screenshotBuffer, { source, note });
 
-    if (error.message?.includes('net::ERR_NAME_NOT_RESOLVED')) {
-      errorMessage = 'Could not resolve domain. Please check the URL.';
-    } else if (error.message?.includes('net::ERR_CONNECTION_REFUSED')) {
-      errorMessage = 'Connection refused. The server may be down.';
-    } else if (error.message?.includes('net::ERR_CONNECTION_TIMED_OUT')) {
-      errorMessage = 'Connection timed out. The server is too slow to respond.';
-    } else if (error.message?.includes('Navigation timeout')) {
-      errorMessage = 'Page took too long to load. Try a simpler page or check your connection.';
-    } else if (error.message?.includes('net::ERR_CERT')) {
-      errorMessage = 'SSL certificate error. The site may have an invalid certificate.';
-    } else if (error.message?.includes('401') || error.message?.includes('Unauthorized')) {
-      errorMessage = 'Authentication failed. Please check username and password.';
+    res.status(201).json({
+      project,
+      pageKey,
+      viewport,
+      ...entry,
+      imageUrl: `/api/baselines/${project}/${pageKey}/${viewportKey(viewport.width, viewport.height)}/image.png?version=${entry.version}`
+    });
+  } catch (error) {
+    console.error('[Baselines] Error:', error);
+    res.status(error.status || 500).json({ error: describeError(error) });
+  }
+});
+
+// Regression check: capture url and diff it against the stored baseline
+app.post('/api/baselines/:project/:pageKey/compare', projectAccess, captureLimit, async (req, res) => {
+  try {
+    const { project, pageKey } = req.params;
+    if (!req.body.url) {
+      return res.status(400).json({ error: 'URL is required' });
     }
 
-    res.status(500).json({
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    const options = parseCompareOptions(req.body, { project: requestProject(req) });
+    const viewport = { width: options.viewportWidth, height: options.viewportHeight };
+    const { buffer, version } = await baselineStore.read(project, pageKey, viewport, req.body.version);
+
+    await startComparison(req, res, {
+      ...options,
+      designBuffer: buffer,
+      // Baselines are screenshots on the same pixel grid, so no scaling
+      align: { ...options.align, fit: 'none', anchor: 'top-left', dpr: 1 }
+    }, {
+      baseline: { project, pageKey, viewport, version: version.version }
     });
+  } catch (error) {
+    console.error('[Baselines] Error:', error);
+    res.status(error.status || 500).json({ error: describeError(error), steps: error.steps });
   }
 });
 
-// Get stored result
-app.get('/api/result/:id', (req, res) => {
-  const result = resultsStore.get(req.params.id);
-  if (!result) {
-    return res.status(404).json({ error: 'Result not found or expired' });
+// Make an earlier version the current baseline again
+app.post('/api/baselines/:project/:pageKey/rollback', projectAccess, async (req, res) => {
+  try {
+    const { project, pageKey } = req.params;
+    const { version } = req.body;
+    if (!version) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+
+    const viewport = baselineViewport(req.body);
+    const manifest = await baselineStore.rollback(project, pageKey, viewport, version);
+    res.json({ project, pageKey, viewport, ...manifest });
+  } catch (error) {
+    console.error('[Baselines] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
-  res.json(result);
 });
 
 // AI Vision Analysis endpoint - DISABLED (requires paid API)
@@ -465,48 +822,68 @@ Be precise with pixel estimates where possible. If something looks like it's off
 });
 */
 
+// Load url the way /api/inspect sees it: 1920x1080, networkidle2, then the
+// request's preparation steps. Step results are appended to stepReport.
+async function loadForInspection(page, { url, username, password, session, steps }, stepReport) {
+  await urlPolicy.check(url);
+  const guard = await urlPolicy.guardPage(page, { headersFor: headersFor(session, url) });
+
+  await page.setViewport({ width: 1920, height: 1080 });
+
+  // Handle HTTP Basic Auth
+  if (username && password) {
+    await page.authenticate({ username, password });
+  }
+
+  await prepareSession(page, session, { url });
+  await runSteps(page, steps, { url, beforeNavigation: true, report: stepReport });
+
+  // Navigate to URL; a navigation the URL policy refused reports as its 4xx
+  try {
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: 60000
+    });
+  } catch (error) {
+    throw guard.error || error;
+  }
+
+  // Wait for page to fully render
+  await new Promise(resolve => setTimeout(resolve, 2000));
+
+  await runSteps(page, steps, { url, report: stepReport });
+  // Something on the page was served from a private address
+  if (guard.error) throw guard.error;
+}
+
 // CSS Inspector endpoint
-app.post('/api/inspect', express.json(), async (req, res) => {
-  let browser = null;
+app.post('/api/inspect', captureLimit, express.json(), async (req, res) => {
+  let lease = null;
 
   try {
-    const { url, username, password, selector } = req.body;
+    const { url, username, password, selector, includeText } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    console.log(`[Inspect] Starting CSS inspection for ${url}`);
+    const steps = parseSteps(req.body.steps);
+    const session = parseSessionOptions(req.body, { project: requestProject(req) });
+    const stepReport = [];
 
-    // Launch browser
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--single-process'
-      ],
-      timeout: 60000
-    });
-
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1920, height: 1080 });
+    console.log(`[Inspect] Starting CSS inspection for ${url}`);
 
-    // Handle HTTP Basic Auth
-    if (username && password) {
-      await page.authenticate({ username, password });
-    }
+    // Refused URLs don't count against the quota
+    await urlPolicy.check(url);
+    // The capture slot is held until the inspection settles (freed in finally)
+    chargeCaptures(req, res, 1);
+    if (req.captureSlot) req.captureSlot.detached = true;
 
-    // Navigate to URL
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 60000
-    });
+    // Borrow an isolated context from the shared browser pool
+    lease = await browserPool.acquire();
 
-    // Wait for page to fully render
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const page = await lease.context.newPage();
+    await loadForInspection(page, { url, username, password, session, steps }, stepReport);
 
     // Extract CSS information from all visible elements
     const cssData = await page.evaluate((targetSelector) => {
@@ -662,90 +1039,245 @@ app.post('/api/inspect', express.json(), async (req, res) => {
       return results;
     }, selector);
 
-    await browser.close();
-    browser = null;
+    // Visible text blocks with their boxes, as used by the compare text diff
+    if (isTruthy(includeText)) {
+      cssData.texts = await collectTextBoxes(page);
+    }
+
+    await lease.release();
+    lease = null;
 
     console.log(`[Inspect] Found ${cssData.typography.length} font styles, ${cssData.colors.length} colors, ${cssData.elements.length} elements`);
 
     res.json({
       url,
       timestamp: Date.now(),
+      steps: stepReport.length ? stepReport : undefined,
       ...cssData
     });
 
   } catch (error) {
     console.error('[Inspect] Error:', error);
 
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (e) {
-        console.error('[Inspect] Error closing browser:', e);
-      }
+    if (lease) {
+      await lease.release();
     }
 
-    res.status(500).json({
-      error: error.message || 'An error occurred during inspection'
+    res.status(error.status || 500).json({
+      error: error.message || 'An error occurred during inspection',
+      steps: error.steps
     });
+  } finally {
+    req.captureSlot?.release();
   }
 });
 
-// Analyze regions of difference
-function analyzeRegions(diffData, width, height) {
-  const gridSize = 4; // Divide into 4x4 grid
-  const cellWidth = Math.floor(width / gridSize);
-  const cellHeight = Math.floor(height / gridSize);
-  const regions = [];
-
-  for (let gy = 0; gy < gridSize; gy++) {
-    for (let gx = 0; gx < gridSize; gx++) {
-      let diffCount = 0;
-      const startX = gx * cellWidth;
-      const startY = gy * cellHeight;
-      const endX = Math.min(startX + cellWidth, width);
-      const endY = Math.min(startY + cellHeight, height);
-      const cellPixels = (endX - startX) * (endY - startY);
-
-      for (let y = startY; y < endY; y++) {
-        for (let x = startX; x < endX; x++) {
-          const idx = (y * width + x) * 4;
-          // Check if pixel is red (difference marker in pixelmatch)
-          if (diffData[idx] > 200 && diffData[idx + 1] < 100 && diffData[idx + 2] < 100) {
-            diffCount++;
-          }
-        }
-      }
+// Per-element style diff: `spec` maps selectors to the properties and box the
+// design expects; the answer lists every property with its delta
+app.post('/api/inspect/diff', captureLimit, async (req, res) => {
+  try {
+    const { url, username, password } = req.body;
 
-      const diffPercent = (diffCount / cellPixels * 100).toFixed(1);
-
-      regions.push({
-        position: getRegionName(gx, gy),
-        x: startX,
-        y: startY,
-        width: endX - startX,
-        height: endY - startY,
-        diffPixels: diffCount,
-        diffPercent: parseFloat(diffPercent),
-        severity: getSeverity(diffPercent)
-      });
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
     }
+
+    const spec = parseStyleSpec(parseJsonField(req.body.spec, 'spec'));
+    const tolerances = parseTolerances(parseJsonField(req.body.tolerances, 'tolerances'));
+    const steps = parseSteps(req.body.steps);
+    const session = parseSessionOptions(req.body, { project: requestProject(req) });
+    const stepReport = [];
+
+    console.log(`[Inspect] Diffing ${spec.length} spec entries against ${url}`);
+
+    await urlPolicy.check(url);
+    chargeCaptures(req, res, 1);
+    const collected = await withCaptureSlot(req, () => browserPool.withPage(async (page) => {
+      await loadForInspection(page, { url, username, password, session, steps }, stepReport);
+      return collectSpecStyles(page, spec);
+    }));
+
+    const report = diffStyles(spec, collected, tolerances);
+    console.log(`[Inspect] Spec diff: ${report.summary.passed}/${report.summary.checked} checks passed`);
+
+    res.json({
+      url,
+      timestamp: Date.now(),
+      steps: stepReport.length ? stepReport : undefined,
+      ...report
+    });
+  } catch (error) {
+    console.error('[Inspect] Error:', error);
+    res.status(error.status || 500).json({ error: describeError(error), steps: error.steps });
   }
+});
 
-  return regions.sort((a, b) => b.diffPercent - a.diffPercent);
-}
+// Design token conformance: every computed font, colour and spacing value on
+// the page is checked against a W3C / Style Dictionary token file
+app.post('/api/tokens/check', captureLimit, async (req, res) => {
+  try {
+    const { url, username, password, selector } = req.body;
 
-function getRegionName(gx, gy) {
-  const vertical = ['Top', 'Upper-middle', 'Lower-middle', 'Bottom'][gy];
-  const horizontal = ['Left', 'Center-left', 'Center-right', 'Right'][gx];
-  return `${vertical} ${horizontal}`;
-}
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
 
-function getSeverity(diffPercent) {
-  if (diffPercent < 1) return 'none';
-  if (diffPercent < 5) return 'low';
-  if (diffPercent < 15) return 'medium';
-  return 'high';
-}
+    const tokenSet = parseTokenSet(parseJsonField(req.body.tokens, 'tokens'));
+    const steps = parseSteps(req.body.steps);
+    const session = parseSessionOptions(req.body, { project: requestProject(req) });
+    const tolerances = {
+      colorTolerance: Math.max(0, parseFloat(req.body.colorTolerance ?? 2.3) || 0),
+      sizeTolerance: Math.max(0, parseFloat(req.body.sizeTolerance ?? 0.5) || 0)
+    };
+    const stepReport = [];
+
+    console.log(`[Tokens] Checking ${url} against design tokens`);
+
+    await urlPolicy.check(url);
+    chargeCaptures(req, res, 1);
+    const usage = await withCaptureSlot(req, () => browserPool.withPage(async (page) => {
+      await loadForInspection(page, { url, username, password, session, steps }, stepReport);
+      return collectStyleUsage(page, selector);
+    }));
+
+    const report = checkConformance(usage, tokenSet, tolerances);
+    console.log(`[Tokens] Conformance ${report.score}% over ${report.checked} values`);
+
+    res.json({
+      url,
+      timestamp: Date.now(),
+      steps: stepReport.length ? stepReport : undefined,
+      ...report
+    });
+  } catch (error) {
+    console.error('[Tokens] Error:', error);
+    res.status(error.status || 500).json({ error: describeError(error), steps: error.steps });
+  }
+});
+
+// Register a default webhook for every comparison of the project: url plus
+// optional secret (generated if omitted), threshold and onlyBelowThreshold.
+// The secret is only returned here.
+app.post('/api/projects/:project/webhooks', projectAccess, async (req, res) => {
+  try {
+    const hook = await webhookStore.create(req.params.project, req.body || {});
+    res.status(201).json(hook);
+  } catch (error) {
+    console.error('[Webhooks] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:project/webhooks', projectAccess, async (req, res) => {
+  try {
+    res.json({ webhooks: await webhookStore.list(req.params.project) });
+  } catch (error) {
+    console.error('[Webhooks] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/projects/:project/webhooks/:id/delete', projectAccess, async (req, res) => {
+  try {
+    await webhookStore.remove(req.params.project, req.params.id);
+    res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    console.error('[Webhooks] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Store a login recipe under `name` for the project's captures to use as
+// login=<name>: url, fields [{ selector, value }], submit, success { url,
+// selector, cookie }, timeout and ttl (seconds the session is reused)
+app.post('/api/projects/:project/logins', projectAccess, async (req, res) => {
+  try {
+    const { name, ...recipe } = req.body || {};
+    const login = await loginStore.save(req.params.project, name, recipe);
+    // A changed recipe must not keep serving the old session
+    sessionCache.clear(req.params.project);
+    res.status(201).json(login);
+  } catch (error) {
+    console.error('[Session] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Recipes without their field values
+app.get('/api/projects/:project/logins', projectAccess, async (req, res) => {
+  try {
+    res.json({ logins: await loginStore.list(req.params.project) });
+  } catch (error) {
+    console.error('[Session] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/projects/:project/logins/:name/delete', projectAccess, async (req, res) => {
+  try {
+    await loginStore.remove(req.params.project, req.params.name);
+    sessionCache.clear(req.params.project);
+    res.json({ name: req.params.name, deleted: true });
+  } catch (error) {
+    console.error('[Session] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Drop the project's cached sessions so the next capture logs in again
+app.post('/api/projects/:project/sessions/clear', projectAccess, (req, res) => {
+  res.json({ project: req.params.project, cleared: sessionCache.clear(req.params.project) });
+});
+
+// Delivery log, newest first; filter with resultId, batchId or jobId.
+// Keys only see their own project's deliveries.
+app.get('/api/webhooks/deliveries', projectAccess, (req, res) => {
+  const { resultId, batchId, jobId } = req.query;
+  const project = req.apiKey?.project || req.query.project;
+  const deliveries = webhookDispatcher.list({ project, resultId, batchId, jobId });
+  res.json({ deliveries: deliveries.slice(0, Math.min(parseInt(req.query.limit) || 100, 1000)) });
+});
+
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = webhookDispatcher.get(req.params.id);
+  if (!delivery || (req.apiKey && delivery.project !== req.apiKey.project)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(delivery);
+});
+
+// Admin: create an API key for a project with optional ratePerMinute,
+// concurrentCaptures and dailyQuota. The key is only ever shown in this response.
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const created = await apiKeyStore.create(req.body || {});
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('[ApiKeys] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Admin: keys (without secrets) and today's usage, optionally for one project
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await apiKeyStore.list(req.query.project);
+    res.json({ keys: keys.map(key => ({ ...key, usage: usageTracker.stats(key) })) });
+  } catch (error) {
+    console.error('[ApiKeys] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Admin: revoke a key; requests with it fail with 401 from then on
+app.post('/api/admin/keys/:id/revoke', requireAdmin, async (req, res) => {
+  try {
+    res.json(await apiKeyStore.revoke(req.params.id));
+  } catch (error) {
+    console.error('[ApiKeys] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -753,7 +1285,18 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: error.message });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`[Server] Perfect Pixel Check API running on port ${PORT}`);
   console.log(`[Server] Health check: http://localhost:${PORT}/health`);
+  if (!PUBLIC_URL) console.log('[Server] PUBLIC_URL not set; report and webhook links use the request\'s Host header');
+  console.log(`[Server] API keys ${API_KEY_REQUIRED ? 'required' : 'optional (set ADMIN_TOKEN or REQUIRE_API_KEY=true to require them)'}`);
 });
+
+// Close pooled browsers on shutdown so no Chromium processes are left behind
+const shutdown = (signal) => {
+  console.log(`[Server] ${signal} received, shutting down...`);
+  server.close();
+  browserPool.close().finally(() => process.exit(0));
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
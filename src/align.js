@@ -0,0 +1,302 @@
+const { PNG } = require('pngjs');
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+const { isTruthy } = require('./utils');
+
+const FIT_MODES = ['none', 'contain', 'cover', 'scale-to-width'];
+const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+
+const DEFAULTS = {
+  dpr: 1,
+  fit: 'cover',
+  anchor: 'top',
+  autoOffset: false,
+  maxOffset: 40,
+  background: '#ffffff'
+};
+
+// Read alignment options from a request body (form fields arrive as strings)
+function parseAlignOptions(body = {}) {
+  const options = { ...DEFAULTS };
+
+  const dpr = body.designDpr ?? body.dpr;
+  if (dpr !== undefined && dpr !== '') {
+    if (dpr === 'auto') {
+      options.dpr = 'auto';
+    } else {
+      options.dpr = parseFloat(dpr);
+      if (!(options.dpr >= 0.5 && options.dpr <= 4)) {
+        throw new HttpError(400, 'designDpr must be "auto" or a number between 0.5 and 4');
+      }
+    }
+  }
+
+  if (body.fit) {
+    if (!FIT_MODES.includes(body.fit)) {
+      throw new HttpError(400, `fit must be one of: ${FIT_MODES.join(', ')}`);
+    }
+    options.fit = body.fit;
+  }
+
+  if (body.anchor) {
+    if (!ANCHORS.includes(body.anchor)) {
+      throw new HttpError(400, `anchor must be one of: ${ANCHORS.join(', ')}`);
+    }
+    options.anchor = body.anchor;
+  }
+
+  if (body.autoOffset !== undefined) {
+    options.autoOffset = isTruthy(body.autoOffset);
+  }
+  if (body.maxOffset !== undefined && body.maxOffset !== '') {
+    options.maxOffset = Math.max(0, Math.min(parseInt(body.maxOffset) || 0, 200));
+  }
+
+  if (body.background) {
+    if (!/^#?[0-9a-f]{6}$/i.test(body.background)) {
+      throw new HttpError(400, 'background must be a hex color like #ffffff');
+    }
+    options.background = body.background.startsWith('#') ? body.background : `#${body.background}`;
+  }
+
+  return options;
+}
+
+function hexToRgba(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, alpha: 1 };
+}
+
+// Detect the design's pixel ratio from its width relative to the page
+function detectDpr(designWidth, canvasWidth) {
+  for (const ratio of [3, 2, 1.5]) {
+    if (Math.abs(designWidth / canvasWidth - ratio) <= 0.02 * ratio) return ratio;
+  }
+  return 1;
+}
+
+// Offset of a width x height box inside the canvas for the given anchor
+function anchorOffset(anchor, width, height, canvasWidth, canvasHeight) {
+  const [vertical, horizontal] = anchor.includes('-')
+    ? anchor.split('-')
+    : ['left', 'right'].includes(anchor) ? ['center', anchor] : [anchor, 'center'];
+
+  const freeX = canvasWidth - width;
+  const freeY = canvasHeight - height;
+  const left = horizontal === 'left' ? 0 : horizontal === 'right' ? freeX : Math.round(freeX / 2);
+  const top = vertical === 'top' ? 0 : vertical === 'bottom' ? freeY : Math.round(freeY / 2);
+  return { left, top };
+}
+
+// Copy RGBA pixels onto a background-filled canvas; parts falling outside are cropped
+function placeOnCanvas(src, srcWidth, srcHeight, canvasWidth, canvasHeight, left, top, background) {
+  const out = Buffer.alloc(canvasWidth * canvasHeight * 4);
+  for (let i = 0; i < out.length; i += 4) {
+    out[i] = background.r;
+    out[i + 1] = background.g;
+    out[i + 2] = background.b;
+    out[i + 3] = 255;
+  }
+
+  const x0 = Math.max(0, left);
+  const x1 = Math.min(canvasWidth, left + srcWidth);
+  if (x1 <= x0) return out;
+
+  for (let y = Math.max(0, top); y < Math.min(canvasHeight, top + srcHeight); y++) {
+    const srcStart = ((y - top) * srcWidth + (x0 - left)) * 4;
+    src.copy(out, (y * canvasWidth + x0) * 4, srcStart, srcStart + (x1 - x0) * 4);
+  }
+  return out;
+}
+
+// Luminance edge map (|dx| + |dy|) of an RGBA buffer
+function edgeMap(data, width, height) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+
+  const edges = new Float32Array(width * height);
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const p = y * width + x;
+      edges[p] = Math.abs(gray[p + 1] - gray[p]) + Math.abs(gray[p + width] - gray[p]);
+    }
+  }
+  return edges;
+}
+
+// Box-downsample a single channel map by an integer factor
+function downsample(map, width, height, factor) {
+  const w = Math.floor(width / factor);
+  const h = Math.floor(height / factor);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        const row = (y * factor + dy) * width + x * factor;
+        for (let dx = 0; dx < factor; dx++) sum += map[row + dx];
+      }
+      out[y * w + x] = sum / (factor * factor);
+    }
+  }
+  return { map: out, width: w, height: h };
+}
+
+// Normalised cross-correlation of b shifted by (dx, dy) against a, over the overlap
+function correlate(a, b, width, height, dx, dy, stride) {
+  let ab = 0;
+  let aa = 0;
+  let bb = 0;
+  const yStart = Math.max(0, dy);
+  const yEnd = Math.min(height, height + dy);
+  const xStart = Math.max(0, dx);
+  const xEnd = Math.min(width, width + dx);
+
+  for (let y = yStart; y < yEnd; y += stride) {
+    const rowA = y * width;
+    const rowB = (y - dy) * width - dx;
+    for (let x = xStart; x < xEnd; x += stride) {
+      const va = a[rowA + x];
+      const vb = b[rowB + x];
+      ab += va * vb;
+      aa += va * va;
+      bb += vb * vb;
+    }
+  }
+  return aa && bb ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+// Find the translation of the design that best lines its edges up with the
+// screenshot. Searches coarse-to-fine over an image pyramid so large offsets
+// stay cheap.
+function detectOffset(designData, screenshotData, width, height, maxOffset) {
+  const designEdges = edgeMap(designData, width, height);
+  const screenshotEdges = edgeMap(screenshotData, width, height);
+
+  let factor = 1;
+  while (factor < 8 && maxOffset / factor > 4 && width / (factor * 2) >= 64 && height / (factor * 2) >= 64) {
+    factor *= 2;
+  }
+
+  let best = { x: 0, y: 0, score: 0 };
+  let range = Math.ceil(maxOffset / factor);
+
+  for (; factor >= 1; factor /= 2) {
+    const a = factor > 1 ? downsample(screenshotEdges, width, height, factor) : { map: screenshotEdges, width, height };
+    const b = factor > 1 ? downsample(designEdges, width, height, factor) : { map: designEdges, width, height };
+    // Sample sparsely on big images so the search stays around a million reads per offset
+    const stride = Math.max(1, Math.floor(Math.sqrt((a.width * a.height) / 1e6)));
+    const cx = Math.round(best.x / factor);
+    const cy = Math.round(best.y / factor);
+    const levelMax = Math.floor(maxOffset / factor);
+
+    let levelBest = { x: cx, y: cy, score: -1 };
+    for (let dy = Math.max(-levelMax, cy - range); dy <= Math.min(levelMax, cy + range); dy++) {
+      for (let dx = Math.max(-levelMax, cx - range); dx <= Math.min(levelMax, cx + range); dx++) {
+        const score = correlate(a.map, b.map, a.width, a.height, dx, dy, stride);
+        // Prefer the smaller shift when scores tie
+        if (score > levelBest.score + 1e-9 ||
+            (Math.abs(score - levelBest.score) <= 1e-9 && Math.abs(dx) + Math.abs(dy) < Math.abs(levelBest.x) + Math.abs(levelBest.y))) {
+          levelBest = { x: dx, y: dy, score };
+        }
+      }
+    }
+
+    best = { x: levelBest.x * factor, y: levelBest.y * factor, score: levelBest.score };
+    range = 2;
+  }
+
+  const baseline = correlate(screenshotEdges, designEdges, width, height, 0, 0, 1);
+  return { ...best, score: parseFloat(best.score.toFixed(4)), baselineScore: parseFloat(baseline.toFixed(4)) };
+}
+
+// Bring the design onto the screenshot's pixel grid according to the options.
+// The screenshot is never scaled; it only gets padded when the canvas grows to
+// fit a taller design (extendCanvas, used for full page captures).
+// screenshotDpr is the device pixel ratio the page was captured at; the
+// design's own ratio is taken out first, then the capture's is applied.
+// Returns both images as PNGs of identical size plus a description of what was done.
+async function alignImages(designBuffer, screenshotBuffer, options = {}, { extendCanvas = false, screenshotDpr = 1 } = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const background = hexToRgba(opts.background);
+
+  const screenshot = await sharp(screenshotBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const designMeta = await sharp(designBuffer).metadata();
+  const screenshotWidth = screenshot.info.width;
+  const screenshotHeight = screenshot.info.height;
+
+  const dpr = opts.dpr === 'auto' ? detectDpr(designMeta.width, screenshotWidth / screenshotDpr) : opts.dpr;
+
+  // Design size in screenshot pixels once the pixel ratios are accounted for
+  const naturalWidth = Math.max(1, Math.round(designMeta.width / dpr * screenshotDpr));
+  const naturalHeight = Math.max(1, Math.round(designMeta.height / dpr * screenshotDpr));
+
+  let scale = 1;
+  if (opts.fit === 'scale-to-width') {
+    scale = screenshotWidth / naturalWidth;
+  } else if (opts.fit === 'contain') {
+    scale = Math.min(screenshotWidth / naturalWidth, screenshotHeight / naturalHeight);
+  } else if (opts.fit === 'cover') {
+    scale = Math.max(screenshotWidth / naturalWidth, screenshotHeight / naturalHeight);
+  }
+
+  const width = Math.max(1, Math.round(naturalWidth * scale));
+  const height = Math.max(1, Math.round(naturalHeight * scale));
+
+  let canvasWidth = screenshotWidth;
+  let canvasHeight = screenshotHeight;
+  if (extendCanvas && ['none', 'scale-to-width'].includes(opts.fit)) {
+    canvasHeight = Math.max(canvasHeight, height);
+  }
+
+  const design = await sharp(designBuffer)
+    .resize(width, height, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const placement = anchorOffset(opts.anchor, width, height, canvasWidth, canvasHeight);
+  let designData = placeOnCanvas(design.data, width, height, canvasWidth, canvasHeight, placement.left, placement.top, background);
+  const screenshotData = placeOnCanvas(screenshot.data, screenshotWidth, screenshotHeight, canvasWidth, canvasHeight, 0, 0, background);
+
+  let offset = { x: 0, y: 0 };
+  if (opts.autoOffset && opts.maxOffset > 0) {
+    offset = detectOffset(designData, screenshotData, canvasWidth, canvasHeight, opts.maxOffset);
+    if (offset.x || offset.y) {
+      console.log(`[Align] Shifting design by ${offset.x},${offset.y} (score ${offset.baselineScore} -> ${offset.score})`);
+      designData = placeOnCanvas(design.data, width, height, canvasWidth, canvasHeight,
+        placement.left + offset.x, placement.top + offset.y, background);
+    }
+  }
+
+  const designPng = new PNG({ width: canvasWidth, height: canvasHeight });
+  designPng.data = designData;
+  const screenshotPng = new PNG({ width: canvasWidth, height: canvasHeight });
+  screenshotPng.data = screenshotData;
+
+  const left = placement.left + offset.x;
+  const top = placement.top + offset.y;
+
+  return {
+    designPng,
+    screenshotPng,
+    transform: {
+      fit: opts.fit,
+      anchor: opts.anchor,
+      dpr,
+      screenshotDpr,
+      scale: parseFloat(scale.toFixed(4)),
+      designSize: { width: designMeta.width, height: designMeta.height },
+      scaledSize: { width, height },
+      placement: { left, top },
+      offset,
+      canvas: { width: canvasWidth, height: canvasHeight },
+      padded: left > 0 || top > 0 || left + width < canvasWidth || top + height < canvasHeight,
+      cropped: left < 0 || top < 0 || left + width > canvasWidth || top + height > canvasHeight
+    }
+  };
+}
+
+module.exports = { alignImages, parseAlignOptions, detectOffset, edgeMap, FIT_MODES, ANCHORS };
@@ -0,0 +1,225 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { createId } = require('./utils');
+
+const PROJECT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+const DEFAULT_LIMITS = {
+  ratePerMinute: parseInt(process.env.API_KEY_RATE_PER_MINUTE) || 60,
+  concurrentCaptures: parseInt(process.env.API_KEY_MAX_CONCURRENT) || 2,
+  dailyQuota: parseInt(process.env.API_KEY_DAILY_QUOTA) || 500
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Validate the limits of a create request; missing ones use the defaults
+function parseLimits(body = {}) {
+  const limits = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_LIMITS)) {
+    const value = body[name] === undefined || body[name] === '' ? fallback : Number(body[name]);
+    if (!Number.isInteger(value) || value < 1 || value > 100000) {
+      throw new HttpError(400, `${name} must be a whole number between 1 and 100000`);
+    }
+    limits[name] = value;
+  }
+  return limits;
+}
+
+// API keys in a JSON file. Only a SHA-256 of each key is kept; the key itself
+// is returned once, when it is created.
+class ApiKeyStore {
+  constructor(file) {
+    this.file = file;
+    this.keys = null;
+    this.writing = Promise.resolve();
+  }
+
+  async _load() {
+    if (!this.keys) {
+      try {
+        this.keys = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.keys = [];
+      }
+    }
+    return this.keys;
+  }
+
+  // Writes are chained so concurrent admin calls cannot interleave
+  _save() {
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(`${this.file}.tmp`, JSON.stringify(this.keys, null, 2));
+      await fs.rename(`${this.file}.tmp`, this.file);
+    });
+    return this.writing;
+  }
+
+  async create({ project, name, ...limits }) {
+    if (typeof project !== 'string' || !PROJECT_PATTERN.test(project)) {
+      throw new HttpError(400, 'project must be 1-100 characters of letters, digits, ".", "_" or "-"');
+    }
+
+    const keys = await this._load();
+    const key = `pp_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: createId(),
+      project,
+      name: name ? String(name).slice(0, 100) : undefined,
+      prefix: key.slice(0, 7),
+      hash: hashKey(key),
+      limits: parseLimits(limits),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    keys.push(record);
+    await this._save();
+    console.log(`[ApiKeys] Created key ${record.id} for project ${project}`);
+    return { key, ...describe(record) };
+  }
+
+  async list(project) {
+    const keys = await this._load();
+    return keys.filter(record => !project || record.project === project).map(describe);
+  }
+
+  async revoke(id) {
+    const keys = await this._load();
+    const record = keys.find(k => k.id === id);
+    if (!record) {
+      throw new HttpError(404, 'API key not found');
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this._save();
+      console.log(`[ApiKeys] Revoked key ${id}`);
+    }
+    return describe(record);
+  }
+
+  // The active record for a presented key, or null
+  async find(key) {
+    const keys = await this._load();
+    const hash = Buffer.from(hashKey(key), 'hex');
+    return keys.find(record => !record.revokedAt &&
+      crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), hash)) || null;
+  }
+}
+
+// A key record as shown to admins: never the hash
+function describe({ hash, ...record }) {
+  return record;
+}
+
+// Per-key request rate (fixed one-minute windows), captures in flight and
+// captures per UTC day. Kept in memory, so counters reset on restart.
+class UsageTracker {
+  constructor() {
+    this.usage = new Map();
+  }
+
+  _get(id) {
+    if (!this.usage.has(id)) {
+      this.usage.set(id, { windowStart: 0, requests: 0, active: 0, day: null, captures: 0 });
+    }
+    return this.usage.get(id);
+  }
+
+  // Count a request against the rate limit; returns what the RateLimit-*
+  // headers need and whether the request may proceed
+  hit(record, now = Date.now()) {
+    const usage = this._get(record.id);
+    const windowStart = now - (now % 60000);
+    if (usage.windowStart !== windowStart) {
+      usage.windowStart = windowStart;
+      usage.requests = 0;
+    }
+    usage.requests++;
+
+    const limit = record.limits.ratePerMinute;
+    return {
+      allowed: usage.requests <= limit,
+      limit,
+      remaining: Math.max(0, limit - usage.requests),
+      reset: Math.ceil((windowStart + 60000 - now) / 1000)
+    };
+  }
+
+  _today(usage, now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.captures = 0;
+    }
+    return day;
+  }
+
+  // Seconds until the daily quota resets at UTC midnight
+  _quotaRetryAfter(day, now) {
+    const midnight = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    return Math.ceil((midnight - now) / 1000);
+  }
+
+  // Reserve a concurrent capture slot; returns { release } or { error, retryAfter }.
+  // Captures are counted against the daily quota separately, with charge(),
+  // once the request has been validated and its size is known.
+  startCapture(record, now = Date.now()) {
+    const usage = this._get(record.id);
+    const day = this._today(usage, now);
+
+    if (usage.captures >= record.limits.dailyQuota) {
+      return {
+        error: `Daily quota of ${record.limits.dailyQuota} captures used up`,
+        retryAfter: this._quotaRetryAfter(day, now)
+      };
+    }
+    if (usage.active >= record.limits.concurrentCaptures) {
+      return { error: `At most ${record.limits.concurrentCaptures} captures may run at once for this key`, retryAfter: 5 };
+    }
+
+    usage.active++;
+    let released = false;
+    return {
+      release: () => {
+        if (released) return;
+        released = true;
+        usage.active--;
+      }
+    };
+  }
+
+  // Count `count` captures against the daily quota; returns {} or, when they
+  // do not fit in what is left of today's quota, { error, retryAfter }
+  charge(record, count, now = Date.now()) {
+    const usage = this._get(record.id);
+    const day = this._today(usage, now);
+    const left = record.limits.dailyQuota - usage.captures;
+
+    if (count > left) {
+      return {
+        error: `This request needs ${count} captures but only ${Math.max(0, left)} of the daily quota of ${record.limits.dailyQuota} are left`,
+        retryAfter: this._quotaRetryAfter(day, now)
+      };
+    }
+    usage.captures += count;
+    return {};
+  }
+
+  stats(record) {
+    const { active = 0, captures = 0, day = null } = this.usage.get(record.id) || {};
+    return { activeCaptures: active, capturesToday: captures, day };
+  }
+}
+
+const apiKeyStore = new ApiKeyStore(
+  process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json')
+);
+const usageTracker = new UsageTracker();
+
+module.exports = { ApiKeyStore, UsageTracker, apiKeyStore, usageTracker, DEFAULT_LIMITS };
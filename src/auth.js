@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { apiKeyStore, usageTracker } = require('./apiKeys');
+const { HttpError } = require('./errors');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Keys are required once an admin token is configured, unless REQUIRE_API_KEY says otherwise
+const API_KEY_REQUIRED = process.env.REQUIRE_API_KEY
+  ? process.env.REQUIRE_API_KEY === 'true'
+  : Boolean(ADMIN_TOKEN);
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+function sameSecret(a, b) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Resolve `Authorization: Bearer <key>` to req.apiKey and apply the key's
+// request rate. Requests without a key pass only when keys are not required.
+// Admin routes carry the admin token instead and are skipped here.
+async function authenticate(req, res, next) {
+  if (req.path.startsWith('/admin/')) return next();
+
+  try {
+    const key = bearerToken(req);
+    if (!key) {
+      if (!API_KEY_REQUIRED) return next();
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'API key required (Authorization: Bearer <key>)' });
+    }
+
+    const record = await apiKeyStore.find(key);
+    if (!record) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    req.apiKey = record;
+
+    const rate = usageTracker.hit(record);
+    res.set({
+      'RateLimit-Limit': rate.limit,
+      'RateLimit-Remaining': rate.remaining,
+      'RateLimit-Reset': rate.reset
+    });
+    if (!rate.allowed) {
+      res.set('Retry-After', rate.reset);
+      return res.status(429).json({ error: `Rate limit of ${rate.limit} requests per minute exceeded` });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Reserve one of the key's concurrent capture slots before any browser work
+// starts; the captures are counted by chargeCaptures once the request has
+// been validated. Routes run their
+// captures through withCaptureSlot, which holds the slot until the work
+// settles; a request that never gets that far frees it with its response.
+// req.captureSlot.signal aborts when the client goes away before its answer
+// is sent, so dropped requests do not keep the browser busy.
+function captureLimit(req, res, next) {
+  let release = () => {};
+  if (req.apiKey) {
+    const slot = usageTracker.startCapture(req.apiKey);
+    if (slot.error) {
+      res.set('Retry-After', slot.retryAfter);
+      return res.status(429).json({ error: slot.error });
+    }
+    release = slot.release;
+  }
+
+  const controller = new AbortController();
+  req.captureSlot = { release, signal: controller.signal, detached: false };
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+    if (!req.captureSlot.detached) release();
+  });
+  next();
+}
+
+// Count a validated request's captures (a batch counts every breakpoint or
+// story) against the key's daily quota; throws a 429 when they do not fit
+function chargeCaptures(req, res, count) {
+  if (!req.apiKey) return;
+  const charged = usageTracker.charge(req.apiKey, count);
+  if (charged.error) {
+    res.set('Retry-After', charged.retryAfter);
+    throw new HttpError(429, charged.error);
+  }
+}
+
+// Run work(signal) while holding the request's capture slot (if any), and
+// free the slot once it resolves or fails
+async function withCaptureSlot(req, work) {
+  const slot = req.captureSlot;
+  if (slot) slot.detached = true;
+  try {
+    return await work(slot?.signal);
+  } finally {
+    slot?.release();
+  }
+}
+
+// Keys only reach their own project's baselines
+function projectAccess(req, res, next) {
+  const project = req.params.project || req.query.project || req.body?.baselineProject;
+  if (req.apiKey && project && project !== req.apiKey.project) {
+    return res.status(403).json({ error: `This API key belongs to project ${req.apiKey.project}` });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+  }
+  const token = bearerToken(req);
+  if (!token || !sameSecret(token, ADMIN_TOKEN)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+module.exports = { authenticate, captureLimit, chargeCaptures, withCaptureSlot, projectAccess, requireAdmin, API_KEY_REQUIRED };
@@ -0,0 +1,194 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { HttpError } = require('./errors');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+function validateName(value, label) {
+  if (typeof value !== 'string' || !NAME_PATTERN.test(value)) {
+    throw new HttpError(400, `${label} must be 1-100 characters of letters, digits, ".", "_" or "-"`);
+  }
+  return value;
+}
+
+function viewportKey(width, height) {
+  return `${width}x${height}`;
+}
+
+function parseViewportKey(key) {
+  const match = /^(\d+)x(\d+)$/.exec(key || '');
+  if (!match) {
+    throw new HttpError(400, 'viewport must look like 1920x1080');
+  }
+  return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+// Versioned baseline screenshots on disk, laid out as
+//   <root>/<project>/<pageKey>/<width>x<height>/manifest.json
+//   <root>/<project>/<pageKey>/<width>x<height>/v<N>.png
+// The manifest records every version and which one is current, so rolling
+// back only rewrites the pointer.
+class BaselineStore {
+  constructor(root) {
+    this.root = root;
+    this.locks = new Map();
+  }
+
+  dir(project, pageKey, viewport) {
+    return path.join(
+      this.root,
+      validateName(project, 'project'),
+      validateName(pageKey, 'pageKey'),
+      viewportKey(viewport.width, viewport.height)
+    );
+  }
+
+  // Every baseline, optionally restricted to one project
+  async list(project) {
+    const projects = project ? [validateName(project, 'project')] : await this._readdir(this.root);
+    const baselines = [];
+
+    for (const projectName of projects) {
+      for (const pageKey of await this._readdir(path.join(this.root, projectName))) {
+        for (const key of await this._readdir(path.join(this.root, projectName, pageKey))) {
+          const manifest = await this._readManifest(path.join(this.root, projectName, pageKey, key));
+          if (!manifest) continue;
+          const current = manifest.versions.find(v => v.version === manifest.current);
+          baselines.push({
+            project: projectName,
+            pageKey,
+            viewport: parseViewportKey(key),
+            currentVersion: manifest.current,
+            versionCount: manifest.versions.length,
+            updatedAt: current?.createdAt
+          });
+        }
+      }
+    }
+
+    return baselines;
+  }
+
+  // Manifests for one page, for every viewport it has baselines at
+  async describe(project, pageKey) {
+    const pageDir = path.join(this.root, validateName(project, 'project'), validateName(pageKey, 'pageKey'));
+    const viewports = [];
+    for (const key of await this._readdir(pageDir)) {
+      const manifest = await this._readManifest(path.join(pageDir, key));
+      if (manifest) viewports.push({ viewport: parseViewportKey(key), ...manifest });
+    }
+    return viewports;
+  }
+
+  async getManifest(project, pageKey, viewport) {
+    return this._readManifest(this.dir(project, pageKey, viewport));
+  }
+
+  // PNG buffer of the given version (the current one by default)
+  async read(project, pageKey, viewport, version) {
+    const dir = this.dir(project, pageKey, viewport);
+    const manifest = await this._readManifest(dir);
+    if (!manifest) {
+      throw new HttpError(404, `No baseline for ${project}/${pageKey} at ${viewportKey(viewport.width, viewport.height)}`);
+    }
+
+    const wanted = version ? parseInt(version) : manifest.current;
+    const entry = manifest.versions.find(v => v.version === wanted);
+    if (!entry) {
+      throw new HttpError(404, `Baseline version ${version} not found`);
+    }
+
+    return { buffer: await fs.readFile(path.join(dir, entry.file)), version: entry, manifest };
+  }
+
+  // Store a screenshot as a new version and make it current
+  async approve(project, pageKey, viewport, buffer, meta = {}) {
+    const dir = this.dir(project, pageKey, viewport);
+    return this._withLock(dir, async () => {
+      await fs.mkdir(dir, { recursive: true });
+      const manifest = (await this._readManifest(dir)) || { current: null, versions: [] };
+
+      const version = manifest.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+      const entry = {
+        version,
+        file: `v${version}.png`,
+        createdAt: new Date().toISOString(),
+        ...meta
+      };
+
+      await fs.writeFile(path.join(dir, entry.file), buffer);
+      manifest.versions.push(entry);
+      manifest.current = version;
+      await this._writeManifest(dir, manifest);
+
+      console.log(`[Baselines] Approved ${project}/${pageKey}@${viewportKey(viewport.width, viewport.height)} v${version}`);
+      return { entry, manifest };
+    });
+  }
+
+  // Point the baseline back at an earlier version
+  async rollback(project, pageKey, viewport, version) {
+    const dir = this.dir(project, pageKey, viewport);
+    return this._withLock(dir, async () => {
+      const manifest = await this._readManifest(dir);
+      if (!manifest) {
+        throw new HttpError(404, `No baseline for ${project}/${pageKey} at ${viewportKey(viewport.width, viewport.height)}`);
+      }
+
+      const wanted = parseInt(version);
+      if (!manifest.versions.some(v => v.version === wanted)) {
+        throw new HttpError(404, `Baseline version ${version} not found`);
+      }
+
+      manifest.current = wanted;
+      await this._writeManifest(dir, manifest);
+
+      console.log(`[Baselines] Rolled ${project}/${pageKey}@${viewportKey(viewport.width, viewport.height)} back to v${wanted}`);
+      return manifest;
+    });
+  }
+
+  async _readdir(dir) {
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async _readManifest(dir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write through a temp file so a crash never leaves a half-written manifest
+  async _writeManifest(dir, manifest) {
+    const file = path.join(dir, 'manifest.json');
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  // Serialise writers per baseline directory
+  async _withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks.set(key, current);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === current) this.locks.delete(key);
+    }
+  }
+}
+
+const baselineStore = new BaselineStore(
+  process.env.BASELINE_DIR || path.join(__dirname, '..', 'data', 'baselines')
+);
+
+module.exports = { BaselineStore, baselineStore, viewportKey, parseViewportKey };
@@ -0,0 +1,176 @@
+const { KnownDevices } = require('puppeteer');
+const { browserPool } = require('./browserPool');
+const { captureOnPage, diffImages, describeError } = require('./compare');
+const { parseAlignOptions } = require('./align');
+const { resultStore } = require('./resultStore');
+const { HttpError, CancelledError } = require('./errors');
+const { createId } = require('./utils');
+
+const MAX_BREAKPOINTS = 10;
+
+// Viewport, pixel ratio and device emulation of one breakpoint entry.
+// Per-breakpoint fit/designDpr/anchor override the request-wide ones.
+function parseViewportEntry(breakpoint, body = {}) {
+  const device = breakpoint.device ? KnownDevices[breakpoint.device] : null;
+  if (breakpoint.device && !device) {
+    throw new HttpError(400, `Unknown device "${breakpoint.device}"`);
+  }
+
+  const viewportWidth = Math.min(parseInt(breakpoint.width) || device?.viewport.width || 1920, 3840);
+  const viewportHeight = Math.min(parseInt(breakpoint.height) || device?.viewport.height || 1080, 15000);
+
+  const deviceScaleFactor = breakpoint.deviceScaleFactor === undefined ? undefined : parseFloat(breakpoint.deviceScaleFactor);
+  if (deviceScaleFactor !== undefined && !(deviceScaleFactor >= 1 && deviceScaleFactor <= 4)) {
+    throw new HttpError(400, 'deviceScaleFactor must be between 1 and 4');
+  }
+
+  return {
+    name: breakpoint.name || breakpoint.device || `${viewportWidth}x${viewportHeight}`,
+    options: {
+      viewportWidth,
+      viewportHeight,
+      align: parseAlignOptions({ ...body, ...breakpoint }),
+      emulation: {
+        device: breakpoint.device,
+        deviceScaleFactor,
+        isMobile: breakpoint.isMobile,
+        hasTouch: breakpoint.hasTouch,
+        userAgent: breakpoint.userAgent
+      }
+    }
+  };
+}
+
+// Validate the breakpoint list of a batch request and pair each entry with its
+// design upload, either by `design` (the uploaded file name) or by position.
+function parseBreakpoints(breakpoints, files, body = {}) {
+  if (!Array.isArray(breakpoints) || !breakpoints.length) {
+    throw new HttpError(400, 'breakpoints must be a non-empty array');
+  }
+  if (breakpoints.length > MAX_BREAKPOINTS) {
+    throw new HttpError(400, `At most ${MAX_BREAKPOINTS} breakpoints per batch`);
+  }
+
+  return breakpoints.map((breakpoint, index) => {
+    const entry = parseViewportEntry(breakpoint, body);
+
+    const file = breakpoint.design
+      ? files.find(f => f.originalname === breakpoint.design)
+      : files[index];
+    if (!file) {
+      throw new HttpError(400, `No design upload for breakpoint ${index + 1}${breakpoint.design ? ` (${breakpoint.design})` : ''}`);
+    }
+
+    return { name: entry.name, options: { ...entry.options, designBuffer: file.buffer } };
+  });
+}
+
+// Aggregate stats over batch items (items with an error count as failed)
+function summarizeBatch(items) {
+  const succeeded = items.filter(item => !item.error);
+  const matches = succeeded.map(item => item.stats.matchPercentage);
+  const worst = succeeded.reduce((min, item) => (!min || item.stats.matchPercentage < min.stats.matchPercentage ? item : min), null);
+
+  return {
+    total: items.length,
+    succeeded: succeeded.length,
+    failed: items.length - succeeded.length,
+    averageMatchPercentage: matches.length
+      ? parseFloat((matches.reduce((sum, value) => sum + value, 0) / matches.length).toFixed(2))
+      : null,
+    minMatchPercentage: matches.length ? Math.min(...matches) : null,
+    worst: worst ? worst.name : null,
+    mismatchedPixels: succeeded.reduce((sum, item) => sum + item.stats.mismatchedPixels, 0)
+  };
+}
+
+// Capture options.url on a fresh page of the context, diff it against
+// options.designBuffer and store the result. Resolves with the batch item;
+// failures other than cancellation become an item with an error.
+async function compareInContext(context, options, { name, extra = {}, onPhase = () => {}, signal } = {}) {
+  const { url } = options;
+  const viewport = { width: options.viewportWidth, height: options.viewportHeight };
+  const page = await context.newPage();
+
+  try {
+    const capture = await captureOnPage(page, options, { onPhase, signal });
+
+    onPhase('diffing');
+    const result = await resultStore.save({
+      ...(await diffImages(options.designBuffer, capture.screenshotBuffer, options, capture)),
+      capture: {
+        url,
+        ...viewport,
+        mode: options.capture?.mode || 'auto',
+        clip: capture.clip,
+        blockedByPolicy: capture.blockedByPolicy.length ? capture.blockedByPolicy : undefined,
+        login: capture.login || undefined,
+        network: capture.network,
+        emulation: capture.emulation
+      },
+      steps: capture.steps.length ? capture.steps : undefined,
+      project: options.project,
+      ...extra
+    });
+
+    return {
+      name,
+      viewport,
+      emulation: capture.emulation,
+      resultId: result.id,
+      resultUrl: `/api/result/${result.id}`,
+      stats: result.stats,
+      alignment: result.alignment,
+      topRegions: result.regions.slice(0, 3)
+    };
+  } catch (error) {
+    if (error instanceof CancelledError) throw error;
+    console.error(`[Batch] ${name} failed:`, error.message);
+    return { name, viewport, error: describeError(error), steps: error.steps };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// Capture url at every breakpoint inside one browser context and diff each
+// screenshot against its design. Each breakpoint is stored as a regular result;
+// the batch record links them. onPhase(phase, { step, steps }) reports progress.
+async function runBreakpointBatch(baseOptions, breakpoints, { onPhase = () => {}, signal } = {}) {
+  const { url } = baseOptions;
+  console.log(`[Batch] Comparing ${url} at ${breakpoints.length} breakpoints`);
+
+  const items = await browserPool.withContext(async (context) => {
+    const items = [];
+
+    for (const [step, breakpoint] of breakpoints.entries()) {
+      const options = { ...baseOptions, ...breakpoint.options };
+      const progress = { step, steps: breakpoints.length };
+
+      console.log(`[Batch] ${breakpoint.name}: ${options.viewportWidth}x${options.viewportHeight}`);
+      items.push(await compareInContext(context, options, {
+        name: breakpoint.name,
+        extra: { breakpoint: breakpoint.name },
+        onPhase: phase => onPhase(phase, progress),
+        signal
+      }));
+    }
+
+    return items;
+  });
+
+  const batch = {
+    id: createId(),
+    type: 'breakpoints',
+    project: baseOptions.project,
+    timestamp: Date.now(),
+    url,
+    summary: summarizeBatch(items),
+    items
+  };
+
+  await resultStore.saveBatch(batch);
+  console.log(`[Batch] Done. Average match: ${batch.summary.averageMatchPercentage}%`);
+  return batch;
+}
+
+module.exports = { parseViewportEntry, parseBreakpoints, summarizeBatch, compareInContext, runBreakpointBatch, MAX_BREAKPOINTS };
@@ -0,0 +1,239 @@
+const puppeteer = require('puppeteer');
+const { HttpError } = require('./errors');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-software-rasterizer',
+  '--disable-extensions',
+  '--disable-background-networking',
+  '--disable-default-apps',
+  '--disable-sync',
+  '--no-first-run'
+];
+
+// Keeps a small number of warm Chromium instances and hands out isolated
+// browser contexts (incognito-like) to callers. Concurrency is capped across
+// the whole pool; callers over the cap wait in a FIFO queue.
+class BrowserPool {
+  constructor(options = {}) {
+    this.size = options.size || 1;
+    this.maxConcurrency = options.maxConcurrency || 2;
+    this.maxQueue = options.maxQueue ?? 50;
+    this.pagesPerBrowser = options.pagesPerBrowser || 50;
+    this.acquireTimeout = options.acquireTimeout || 120000;
+    this.launchOptions = {
+      headless: 'new',
+      args: LAUNCH_ARGS,
+      timeout: 60000,
+      ...options.launchOptions
+    };
+
+    this.browsers = [];
+    this.queue = [];
+    this.busy = 0;
+    this.closed = false;
+    this.counters = { launched: 0, recycled: 0, crashed: 0, served: 0 };
+  }
+
+  // Run fn with a fresh browser context; the context is always closed afterwards
+  async withContext(fn) {
+    const lease = await this.acquire();
+    try {
+      return await fn(lease.context, lease.browser);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  // Run fn with a new page inside a fresh browser context
+  async withPage(fn) {
+    return this.withContext(async (context, browser) => {
+      const page = await context.newPage();
+      return fn(page, context, browser);
+    });
+  }
+
+  async acquire() {
+    if (this.closed) {
+      throw new HttpError(503, 'Browser pool is shutting down');
+    }
+
+    await this._takeSlot();
+
+    let entry = null;
+    try {
+      entry = this._pickBrowser();
+      entry.busy++;
+      const browser = await entry.ready;
+      const context = await browser.createBrowserContext();
+      entry.served++;
+      this.counters.served++;
+
+      let released = false;
+      return {
+        browser,
+        context,
+        release: async () => {
+          if (released) return;
+          released = true;
+          await this._releaseContext(entry, context);
+        }
+      };
+    } catch (error) {
+      if (entry) {
+        entry.busy--;
+        this._maybeRetire(entry);
+      }
+      this._freeSlot();
+      throw error;
+    }
+  }
+
+  stats() {
+    return {
+      size: this.browsers.length,
+      maxBrowsers: this.size,
+      maxConcurrency: this.maxConcurrency,
+      busy: this.busy,
+      queued: this.queue.length,
+      browsers: this.browsers.map(entry => ({
+        id: entry.id,
+        busy: entry.busy,
+        served: entry.served,
+        retiring: entry.retiring
+      })),
+      ...this.counters
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const waiter of this.queue.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new HttpError(503, 'Browser pool is shutting down'));
+    }
+    await Promise.all(this.browsers.splice(0).map(entry => this._closeBrowser(entry)));
+  }
+
+  _takeSlot() {
+    if (this.busy < this.maxConcurrency) {
+      this.busy++;
+      return Promise.resolve();
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new HttpError(503, 'Server is busy. Please try again later.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) this.queue.splice(index, 1);
+        reject(new HttpError(503, 'Timed out waiting for a free browser. Please try again later.'));
+      }, this.acquireTimeout);
+      this.queue.push(waiter);
+    });
+  }
+
+  // Hand the slot straight to the next waiter so queued requests cannot be overtaken
+  _freeSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.busy--;
+    }
+  }
+
+  _pickBrowser() {
+    const live = this.browsers.filter(entry => !entry.retiring);
+    const idle = live.find(entry => entry.busy === 0);
+    if (idle) return idle;
+    if (this.browsers.length < this.size || live.length === 0) return this._launch();
+    return live.reduce((least, entry) => (entry.busy < least.busy ? entry : least));
+  }
+
+  _launch() {
+    const entry = {
+      id: ++this.counters.launched,
+      busy: 0,
+      served: 0,
+      retiring: false,
+      browser: null
+    };
+
+    console.log(`[Pool] Launching browser #${entry.id}`);
+    entry.ready = puppeteer.launch(this.launchOptions).then(browser => {
+      entry.browser = browser;
+      browser.on('disconnected', () => this._onDisconnected(entry));
+      return browser;
+    });
+    entry.ready.catch(error => {
+      console.error(`[Pool] Browser #${entry.id} failed to launch:`, error.message);
+      this._remove(entry);
+    });
+
+    this.browsers.push(entry);
+    return entry;
+  }
+
+  async _releaseContext(entry, context) {
+    try {
+      await context.close();
+    } catch (e) {
+      // Context is gone already if the browser crashed
+    }
+    entry.busy--;
+    if (entry.served >= this.pagesPerBrowser && !entry.retiring) {
+      console.log(`[Pool] Recycling browser #${entry.id} after ${entry.served} pages`);
+      entry.retiring = true;
+      this.counters.recycled++;
+    }
+    this._maybeRetire(entry);
+    this._freeSlot();
+  }
+
+  _maybeRetire(entry) {
+    if (entry.retiring && entry.busy === 0) {
+      this._remove(entry);
+      this._closeBrowser(entry);
+    }
+  }
+
+  _onDisconnected(entry) {
+    if (entry.closing) return;
+    console.error(`[Pool] Browser #${entry.id} disconnected unexpectedly`);
+    this.counters.crashed++;
+    entry.retiring = true;
+    this._remove(entry);
+  }
+
+  _remove(entry) {
+    const index = this.browsers.indexOf(entry);
+    if (index !== -1) this.browsers.splice(index, 1);
+  }
+
+  async _closeBrowser(entry) {
+    entry.closing = true;
+    try {
+      const browser = await entry.ready;
+      await browser.close();
+    } catch (e) {
+      // Launch failed or the process is already gone
+    }
+  }
+}
+
+const browserPool = new BrowserPool({
+  size: parseInt(process.env.BROWSER_POOL_SIZE) || 1,
+  maxConcurrency: parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY) || 2,
+  maxQueue: parseInt(process.env.BROWSER_POOL_MAX_QUEUE) || 50,
+  pagesPerBrowser: parseInt(process.env.BROWSER_POOL_PAGES_PER_BROWSER) || 50,
+  acquireTimeout: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT) || 120000
+});
+
+module.exports = { BrowserPool, browserPool };
@@ -0,0 +1,337 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const { browserPool } = require('./browserPool');
+const { runComparison, describeError } = require('./compare');
+const { parseCompareOptions } = require('./options');
+const { parseBreakpoints } = require('./batch');
+const { parseFigmaSource } = require('./figma');
+const { parseTextLayers } = require('./text');
+const { renderResultReport } = require('./report');
+const { urlPolicy } = require('./urlPolicy');
+
+const USAGE = `Usage: perfect-pixel [options]
+
+Options:
+  -c, --config <file>   Config file (default: perfect-pixel.config.json)
+  -o, --output <dir>    Output directory for images and reports (overrides config)
+      --junit <file>    JUnit XML report path (default: <output>/junit.xml)
+      --json <file>     JSON summary path (default: <output>/summary.json)
+      --only <name>     Only run pages with this name (repeatable)
+  -h, --help            Show this help
+
+Exit codes: 0 all checks passed, 1 a check fell below its threshold, 2 a check could not run.`;
+
+// Result fields a threshold can gate on; each is a minimum
+const THRESHOLD_METRICS = {
+  matchPercentage: result => result.stats.matchPercentage,
+  ssim: result => result.metrics.ssim,
+  msSsim: result => result.metrics.msSsim,
+  edgeScore: result => result.metrics.edges?.score,
+  textScore: result => result.text?.score
+};
+
+// Extra metrics a threshold needs computed
+const THRESHOLD_REQUIRES = { ssim: 'ssim', msSsim: 'ms-ssim', edgeScore: 'edges' };
+
+class ConfigError extends Error {}
+
+async function loadConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(error.code === 'ENOENT' ? `Config file not found: ${file}` : `Cannot read ${file}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`${file} must hold a JSON object`);
+  }
+  if (!Array.isArray(config.pages) || !config.pages.length) {
+    throw new ConfigError('Config needs a non-empty "pages" array');
+  }
+  config.pages.forEach((page, index) => {
+    if (!page || typeof page !== 'object') throw new ConfigError(`Page ${index + 1} must be an object`);
+    if (!page.url) throw new ConfigError(`Page ${index + 1} has no url`);
+    let url;
+    try {
+      url = new URL(page.url);
+    } catch (error) {
+      throw new ConfigError(`Page ${index + 1} has an invalid url: ${page.url}`);
+    }
+    if (!page.name) page.name = url.pathname.replace(/\W+/g, '-').replace(/^-|-$/g, '') || `page-${index + 1}`;
+  });
+  return config;
+}
+
+// Read a design or designText file named in the config, relative to baseDir
+async function readDesignFile(baseDir, file) {
+  const resolved = path.resolve(baseDir, file);
+  try {
+    return await fs.readFile(resolved);
+  } catch (error) {
+    throw new ConfigError(error.code === 'ENOENT' ? `Design file not found: ${resolved}` : `Cannot read ${resolved}: ${error.message}`);
+  }
+}
+
+function slug(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-|-$/g, '') || 'item';
+}
+
+// Every (page, viewport) check the config describes, with request-style
+// options resolved through the same parsers the HTTP API uses
+async function planChecks(config, baseDir) {
+  const checks = [];
+
+  for (const page of config.pages) {
+    const defaults = config.defaults || {};
+    const viewports = page.viewports || defaults.viewports || [{ width: page.width || defaults.width, height: page.height || defaults.height }];
+
+    // Design files are keyed by path so each viewport can point at its own;
+    // viewports without one get an empty placeholder and use Figma instead
+    const files = [];
+    const designKeys = [];
+    for (const [index, viewport] of viewports.entries()) {
+      const designPath = viewport.design || page.design || defaults.design;
+      const key = designPath || `figma-${index}`;
+      if (!files.some(f => f.originalname === key)) {
+        const buffer = designPath ? await readDesignFile(baseDir, designPath) : undefined;
+        files.push({ originalname: key, buffer });
+      }
+      designKeys.push(key);
+    }
+
+    const body = { ...defaults, ...page, thresholds: { ...defaults.thresholds, ...page.thresholds } };
+    const breakpoints = parseBreakpoints(
+      viewports.map((viewport, index) => ({ ...viewport, design: designKeys[index] })),
+      files,
+      body
+    );
+
+    const designTextPath = page.designText || defaults.designText;
+    const designText = designTextPath ? parseTextLayers(await readDesignFile(baseDir, designTextPath)) : undefined;
+
+    viewports.forEach((viewport, index) => {
+      const merged = { ...body, ...viewport, thresholds: { ...body.thresholds, ...viewport.thresholds } };
+      const thresholds = { ...merged.thresholds };
+      if (merged.matchPercentage !== undefined) thresholds.matchPercentage = merged.matchPercentage;
+
+      const metrics = new Set(merged.metrics || []);
+      for (const name of Object.keys(thresholds)) {
+        if (!THRESHOLD_METRICS[name]) throw new ConfigError(`Unknown threshold "${name}" on ${page.name}`);
+        if (THRESHOLD_REQUIRES[name]) metrics.add(THRESHOLD_REQUIRES[name]);
+      }
+
+      const figma = breakpoints[index].options.designBuffer ? null : parseFigmaSource(merged);
+      if (!breakpoints[index].options.designBuffer && !figma) {
+        throw new ConfigError(`${page.name}: no design file or Figma frame`);
+      }
+
+      checks.push({
+        page: page.name,
+        viewport: breakpoints[index].name,
+        thresholds,
+        options: {
+          ...parseCompareOptions({ ...merged, metrics: [...metrics] }),
+          ...breakpoints[index].options,
+          figma,
+          designText
+        }
+      });
+    });
+  }
+
+  return checks;
+}
+
+function evaluateThresholds(result, thresholds) {
+  const failures = [];
+  for (const [name, minimum] of Object.entries(thresholds)) {
+    const actual = THRESHOLD_METRICS[name](result);
+    if (actual === undefined || actual < minimum) {
+      failures.push({ metric: name, minimum, actual: actual ?? null });
+    }
+  }
+  return failures;
+}
+
+async function writeImages(buffers, dir) {
+  await fs.mkdir(dir, { recursive: true });
+  const images = {};
+  for (const [name, buffer] of Object.entries(buffers || {})) {
+    const file = path.join(dir, `${name}.png`);
+    await fs.writeFile(file, buffer);
+    images[name] = file;
+  }
+  return images;
+}
+
+// Image buffers as the `<name>Image` data URIs the HTML report expects
+function inlineImages(buffers) {
+  return Object.fromEntries(
+    Object.entries(buffers || {}).map(([name, buffer]) => [`${name}Image`, `data:image/png;base64,${buffer.toString('base64')}`])
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One testsuite per page, one testcase per viewport
+function toJUnit(summary) {
+  const pages = new Map();
+  for (const check of summary.checks) {
+    if (!pages.has(check.page)) pages.set(check.page, []);
+    pages.get(check.page).push(check);
+  }
+
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const suites = Array.from(pages.entries()).map(([page, checks]) => {
+    const cases = checks.map((check) => {
+      const open = `    <testcase classname="perfect-pixel.${escapeXml(page)}" name="${escapeXml(check.viewport)}" time="${seconds(check.durationMs)}"`;
+      if (check.error) {
+        return `${open}>\n      <error message="${escapeXml(check.error)}"/>\n    </testcase>`;
+      }
+      if (check.failures.length) {
+        const message = check.failures.map(f => `${f.metric} ${f.actual} < ${f.minimum}`).join('; ');
+        return `${open}>\n      <failure message="${escapeXml(message)}">${escapeXml(JSON.stringify(check.stats))}</failure>\n    </testcase>`;
+      }
+      return `${open}/>`;
+    });
+
+    const failures = checks.filter(c => !c.error && c.failures.length).length;
+    const errors = checks.filter(c => c.error).length;
+    const time = checks.reduce((sum, c) => sum + c.durationMs, 0);
+    return `  <testsuite name="${escapeXml(page)}" tests="${checks.length}" failures="${failures}" errors="${errors}" time="${seconds(time)}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="perfect-pixel" tests="${summary.total}" failures="${summary.failed}" errors="${summary.errors}" time="${seconds(summary.durationMs)}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+async function runChecks(checks, outputDir) {
+  const results = [];
+
+  for (const check of checks) {
+    const started = Date.now();
+    const label = `${check.page} @ ${check.viewport}`;
+
+    try {
+      const result = await runComparison(check.options);
+      const dir = path.join(outputDir, slug(check.page), slug(check.viewport));
+      const { images: buffers, ...meta } = result;
+      const images = await writeImages(buffers, dir);
+      await fs.writeFile(path.join(dir, 'result.json'), JSON.stringify(meta, null, 2));
+      await fs.writeFile(path.join(dir, 'report.html'), renderResultReport({ ...meta, ...inlineImages(buffers) }));
+
+      const failures = evaluateThresholds(result, check.thresholds);
+      results.push({
+        page: check.page,
+        viewport: check.viewport,
+        url: check.options.url,
+        passed: !failures.length,
+        failures,
+        thresholds: check.thresholds,
+        stats: result.stats,
+        metrics: result.metrics,
+        text: result.text && { score: result.text.score, changed: result.text.changed, missing: result.text.missing, extra: result.text.extra },
+        images,
+        report: path.join(dir, 'report.html'),
+        durationMs: Date.now() - started
+      });
+      console.log(`${failures.length ? 'FAIL' : 'PASS'} ${label}: ${result.stats.matchPercentage}% match`);
+    } catch (error) {
+      results.push({
+        page: check.page,
+        viewport: check.viewport,
+        url: check.options.url,
+        passed: false,
+        failures: [],
+        error: describeError(error),
+        durationMs: Date.now() - started
+      });
+      console.log(`ERROR ${label}: ${describeError(error)}`);
+    }
+  }
+
+  return results;
+}
+
+// Entry point for bin/perfect-pixel; resolves with the process exit code
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string', short: 'c', default: 'perfect-pixel.config.json' },
+        output: { type: 'string', short: 'o' },
+        junit: { type: 'string' },
+        json: { type: 'string' },
+        only: { type: 'string', multiple: true },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }).values;
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // The CLI runs on the developer's machine, usually against a local dev
+  // server, so private addresses are fine unless the environment says otherwise
+  if (process.env.URL_POLICY_ALLOW_PRIVATE === undefined) {
+    urlPolicy.allowPrivate = true;
+  }
+
+  const started = Date.now();
+  const configFile = path.resolve(args.config);
+
+  try {
+    const config = await loadConfig(configFile);
+    const baseDir = path.dirname(configFile);
+    const outputDir = path.resolve(args.output || path.resolve(baseDir, config.outputDir || 'perfect-pixel-report'));
+
+    if (args.only) {
+      config.pages = config.pages.filter(page => args.only.includes(page.name));
+      if (!config.pages.length) throw new ConfigError(`No pages named ${args.only.join(', ')}`);
+    }
+
+    const checks = await planChecks(config, baseDir);
+    await fs.mkdir(outputDir, { recursive: true });
+    console.log(`Running ${checks.length} checks, writing to ${outputDir}`);
+
+    const results = await runChecks(checks, outputDir);
+    const summary = {
+      timestamp: new Date().toISOString(),
+      config: configFile,
+      total: results.length,
+      passed: results.filter(r => r.passed).length,
+      failed: results.filter(r => !r.error && !r.passed).length,
+      errors: results.filter(r => r.error).length,
+      durationMs: Date.now() - started,
+      checks: results
+    };
+
+    await fs.writeFile(path.resolve(args.json || path.join(outputDir, 'summary.json')), JSON.stringify(summary, null, 2));
+    await fs.writeFile(path.resolve(args.junit || path.join(outputDir, 'junit.xml')), toJUnit(summary));
+
+    console.log(`${summary.passed}/${summary.total} passed, ${summary.failed} below threshold, ${summary.errors} errors`);
+    if (summary.errors) return 2;
+    return summary.failed ? 1 : 0;
+  } catch (error) {
+    console.error(error instanceof ConfigError || error.status ? error.message : error);
+    return 2;
+  } finally {
+    await browserPool.close();
+  }
+}
+
+module.exports = { main, loadConfig, planChecks, evaluateThresholds, toJUnit };
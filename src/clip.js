@@ -0,0 +1,118 @@
+const { HttpError } = require('./errors');
+const { isTruthy, parseJsonField } = require('./utils');
+
+const MAX_PADDING = 500;
+
+// Read selector or clip (a rectangle in CSS px, page coordinates), clipPadding
+// and isolate from a request body; null when the whole page is captured
+function parseClipOptions(body = {}) {
+  const selector = typeof body.selector === 'string' ? body.selector.trim() : body.selector;
+  const rect = parseJsonField(body.clip, 'clip');
+
+  if (!selector && !rect) return null;
+  if (selector && rect) {
+    throw new HttpError(400, 'Use either selector or clip, not both');
+  }
+  if (selector !== undefined && selector !== '' && typeof selector !== 'string') {
+    throw new HttpError(400, 'selector must be a CSS selector string');
+  }
+  if (rect) {
+    const valid = ['x', 'y', 'width', 'height'].every(key => Number.isFinite(rect[key]) && rect[key] >= 0);
+    if (!valid || !rect.width || !rect.height) {
+      throw new HttpError(400, 'clip needs numeric x, y, width and height');
+    }
+  }
+
+  const padding = body.clipPadding === undefined || body.clipPadding === '' ? 0 : parseInt(body.clipPadding);
+  if (!Number.isFinite(padding) || padding < 0 || padding > MAX_PADDING) {
+    throw new HttpError(400, `clipPadding must be between 0 and ${MAX_PADDING}`);
+  }
+
+  const isolate = isTruthy(body.isolate);
+  if (isolate && !selector) {
+    throw new HttpError(400, 'isolate needs a selector');
+  }
+
+  return {
+    selector: selector || undefined,
+    rect: rect ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height } : undefined,
+    padding,
+    isolate
+  };
+}
+
+// Hide everything around the element and clear its ancestors' backgrounds so
+// the capture shows the component alone on a transparent background
+async function isolateElement(page, selector) {
+  await page.evaluate((selector) => {
+    const target = document.querySelector(selector);
+    if (!target) return;
+
+    for (let el = target; el.parentElement; el = el.parentElement) {
+      for (const sibling of el.parentElement.children) {
+        if (sibling !== el) sibling.style.setProperty('visibility', 'hidden', 'important');
+      }
+      el.parentElement.style.setProperty('background', 'transparent', 'important');
+      el.parentElement.style.setProperty('box-shadow', 'none', 'important');
+    }
+  }, selector);
+}
+
+// The rectangle to capture in CSS px, page coordinates, padded and clamped to
+// the document
+async function resolveClip(page, clip) {
+  const found = await page.evaluate((selector, rect) => {
+    let box = rect;
+    if (selector) {
+      let el;
+      try {
+        el = document.querySelector(selector);
+      } catch (e) {
+        return { error: `selector "${selector}" is not valid` };
+      }
+      if (!el) return { error: `selector "${selector}" matched no element` };
+
+      const bounds = el.getBoundingClientRect();
+      box = { x: bounds.left + window.scrollX, y: bounds.top + window.scrollY, width: bounds.width, height: bounds.height };
+    }
+
+    const root = document.documentElement;
+    return {
+      box,
+      documentWidth: Math.max(root.scrollWidth, document.body ? document.body.scrollWidth : 0),
+      documentHeight: Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0)
+    };
+  }, clip.selector, clip.rect);
+
+  if (found.error) throw new HttpError(422, found.error);
+
+  const { box, documentWidth, documentHeight } = found;
+  const x = Math.max(0, Math.floor(box.x - clip.padding));
+  const y = Math.max(0, Math.floor(box.y - clip.padding));
+  const right = Math.min(documentWidth, Math.ceil(box.x + box.width + clip.padding));
+  const bottom = Math.min(documentHeight, Math.ceil(box.y + box.height + clip.padding));
+
+  if (right <= x || bottom <= y) {
+    throw new HttpError(422, clip.selector ? `selector "${clip.selector}" has an empty box` : 'clip lies outside the page');
+  }
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+// Move a box in page pixels into the clipped screenshot's pixels; null when
+// it lies entirely outside the clip
+function shiftIntoClip(box, region, scale) {
+  const x = box.x - Math.round(region.x * scale);
+  const y = box.y - Math.round(region.y * scale);
+  const inside = x + box.width > 0 && y + box.height > 0 &&
+    x < Math.round(region.width * scale) && y < Math.round(region.height * scale);
+  return inside ? { ...box, x, y } : null;
+}
+
+// Same for a list of { box } entries (element and text boxes)
+function clipBoxes(items, region, scale) {
+  return items
+    .map(item => ({ ...item, box: shiftIntoClip(item.box, region, scale) }))
+    .filter(item => item.box);
+}
+
+module.exports = { parseClipOptions, isolateElement, resolveClip, shiftIntoClip, clipBoxes };
@@ -0,0 +1,285 @@
+const sharp = require('sharp');
+const { isDiffPixel } = require('./regions');
+
+const MAX_CLUSTERS = 100;
+const MAX_SHIFT = 8;
+// Clusters whose offset search is worth the cost; the rest are classified without it
+const MAX_SHIFT_CHECKS = 30;
+
+const CATEGORY_COLORS = {
+  shift: '#f59e0b',
+  'color-only': '#8b5cf6',
+  missing: '#ef4444',
+  extra: '#3b82f6',
+  changed: '#ec4899'
+};
+
+// Grow the mask by radius pixels in each direction (square structuring element).
+// Done as two separable passes with running counts so it stays linear in image size.
+function dilate(mask, width, height, radius) {
+  if (radius <= 0) return mask;
+
+  const horizontal = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let count = 0;
+    for (let x = 0; x < Math.min(radius, width); x++) count += mask[row + x];
+    for (let x = 0; x < width; x++) {
+      if (x + radius < width) count += mask[row + x + radius];
+      if (x - radius - 1 >= 0) count -= mask[row + x - radius - 1];
+      horizontal[row + x] = count > 0 ? 1 : 0;
+    }
+  }
+
+  const out = new Uint8Array(mask.length);
+  for (let x = 0; x < width; x++) {
+    let count = 0;
+    for (let y = 0; y < Math.min(radius, height); y++) count += horizontal[y * width + x];
+    for (let y = 0; y < height; y++) {
+      if (y + radius < height) count += horizontal[(y + radius) * width + x];
+      if (y - radius - 1 >= 0) count -= horizontal[(y - radius - 1) * width + x];
+      out[y * width + x] = count > 0 ? 1 : 0;
+    }
+  }
+  return out;
+}
+
+// Two-pass connected component labelling (4-connectivity) with union-find
+function labelComponents(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const parent = [0];
+
+  const find = (label) => {
+    while (parent[label] !== label) {
+      parent[label] = parent[parent[label]];
+      label = parent[label];
+    }
+    return label;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (!mask[p]) continue;
+
+      const up = y > 0 ? labels[p - width] : 0;
+      const left = x > 0 ? labels[p - 1] : 0;
+      if (!up && !left) {
+        labels[p] = parent.length;
+        parent.push(parent.length);
+      } else if (up && left) {
+        const a = find(up);
+        const b = find(left);
+        labels[p] = Math.min(a, b);
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+      } else {
+        labels[p] = up || left;
+      }
+    }
+  }
+
+  return { labels, find };
+}
+
+function luma(data, i) {
+  return 0.29889531 * data[i] + 0.58662247 * data[i + 1] + 0.11448223 * data[i + 2];
+}
+
+// YIQ chroma components, the colour space pixelmatch measures in
+function chroma(data, i) {
+  const r = data[i];
+  const g = data[i + 1];
+  const b = data[i + 2];
+  return [
+    0.59597799 * r - 0.2741761 * g - 0.32180189 * b,
+    0.21147017 * r - 0.52261711 * g + 0.31114694 * b
+  ];
+}
+
+// How much the box stands out from the background just around it.
+// Mean luminance distance from the average of a 2px ring outside the box.
+function contentScore(data, width, height, box) {
+  let ringSum = 0;
+  let ringCount = 0;
+  const ring = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    ringSum += luma(data, (y * width + x) * 4);
+    ringCount++;
+  };
+  for (let x = box.x - 2; x < box.x + box.width + 2; x++) {
+    ring(x, box.y - 2);
+    ring(x, box.y + box.height + 1);
+  }
+  for (let y = box.y - 2; y < box.y + box.height + 2; y++) {
+    ring(box.x - 2, y);
+    ring(box.x + box.width + 1, y);
+  }
+  if (!ringCount) return 0;
+
+  const background = ringSum / ringCount;
+  const stride = Math.max(1, Math.ceil(Math.sqrt(box.width * box.height / 10000)));
+  let sum = 0;
+  let count = 0;
+  for (let y = box.y; y < box.y + box.height; y += stride) {
+    for (let x = box.x; x < box.x + box.width; x += stride) {
+      sum += Math.abs(luma(data, (y * width + x) * 4) - background);
+      count++;
+    }
+  }
+  return sum / count;
+}
+
+// Look for a small translation of the design that makes the box match the screenshot
+function findShift(design, screenshot, width, height, box) {
+  const area = box.width * box.height;
+  const stride = Math.max(1, Math.ceil(Math.sqrt(area / 10000)));
+
+  const errorAt = (dx, dy) => {
+    let sum = 0;
+    let count = 0;
+    for (let y = box.y; y < box.y + box.height; y += stride) {
+      const sy = y - dy;
+      if (sy < 0 || sy >= height) continue;
+      for (let x = box.x; x < box.x + box.width; x += stride) {
+        const sx = x - dx;
+        if (sx < 0 || sx >= width) continue;
+        sum += Math.abs(luma(screenshot, (y * width + x) * 4) - luma(design, (sy * width + sx) * 4));
+        count++;
+      }
+    }
+    return count ? sum / count : Infinity;
+  };
+
+  const baseline = errorAt(0, 0);
+  let best = { x: 0, y: 0, error: baseline };
+  for (let dy = -MAX_SHIFT; dy <= MAX_SHIFT; dy++) {
+    for (let dx = -MAX_SHIFT; dx <= MAX_SHIFT; dx++) {
+      if (!dx && !dy) continue;
+      const error = errorAt(dx, dy);
+      // Prefer the smaller shift when errors tie
+      if (error < best.error - 1e-9 ||
+          (Math.abs(error - best.error) <= 1e-9 && Math.abs(dx) + Math.abs(dy) < Math.abs(best.x) + Math.abs(best.y))) {
+        best = { x: dx, y: dy, error };
+      }
+    }
+  }
+
+  return baseline > 2 && best.error < baseline * 0.35 ? { x: best.x, y: best.y } : null;
+}
+
+// Guess what kind of difference a cluster is from the pixels under it
+function classifyCluster(cluster, design, screenshot, width, height, checkShift) {
+  const { lumaDelta, chromaDelta } = cluster.stats;
+
+  if (lumaDelta < 10 && chromaDelta > 10) {
+    return { category: 'color-only' };
+  }
+
+  if (checkShift) {
+    const offset = findShift(design, screenshot, width, height, cluster.box);
+    if (offset) return { category: 'shift', offset };
+  }
+
+  const designContent = contentScore(design, width, height, cluster.box);
+  const screenshotContent = contentScore(screenshot, width, height, cluster.box);
+  if (designContent > screenshotContent * 3 + 1) return { category: 'missing' };
+  if (screenshotContent > designContent * 3 + 1) return { category: 'extra' };
+  return { category: 'changed' };
+}
+
+// Group diff pixels into connected regions. Pixels within `radius` of each other
+// end up in the same cluster; clusters smaller than minPixels are dropped as noise.
+function clusterDiff(diffData, designData, screenshotData, width, height, { radius = 4, minPixels = 4 } = {}) {
+  const mask = new Uint8Array(width * height);
+  for (let p = 0; p < mask.length; p++) {
+    if (isDiffPixel(diffData, p * 4)) mask[p] = 1;
+  }
+
+  const { labels, find } = labelComponents(dilate(mask, width, height, radius), width, height);
+
+  const byRoot = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (!mask[p]) continue;
+
+      const root = find(labels[p]);
+      let cluster = byRoot.get(root);
+      if (!cluster) {
+        cluster = { minX: x, minY: y, maxX: x, maxY: y, pixels: 0, lumaSum: 0, chromaSum: 0 };
+        byRoot.set(root, cluster);
+      }
+      cluster.pixels++;
+      if (x < cluster.minX) cluster.minX = x;
+      if (x > cluster.maxX) cluster.maxX = x;
+      if (y > cluster.maxY) cluster.maxY = y;
+
+      const i = p * 4;
+      cluster.lumaSum += Math.abs(luma(designData, i) - luma(screenshotData, i));
+      const [di, dq] = chroma(designData, i);
+      const [si, sq] = chroma(screenshotData, i);
+      cluster.chromaSum += Math.sqrt((di - si) ** 2 + (dq - sq) ** 2);
+    }
+  }
+
+  const clusters = Array.from(byRoot.values())
+    .filter(cluster => cluster.pixels >= minPixels)
+    .sort((a, b) => b.pixels - a.pixels);
+
+  return {
+    total: clusters.length,
+    radius,
+    clusters: clusters.slice(0, MAX_CLUSTERS).map((cluster, index) => {
+      const box = {
+        x: cluster.minX,
+        y: cluster.minY,
+        width: cluster.maxX - cluster.minX + 1,
+        height: cluster.maxY - cluster.minY + 1
+      };
+      const stats = {
+        lumaDelta: cluster.lumaSum / cluster.pixels,
+        chromaDelta: cluster.chromaSum / cluster.pixels
+      };
+      const { category, offset } = classifyCluster(
+        { box, stats }, designData, screenshotData, width, height, index < MAX_SHIFT_CHECKS
+      );
+
+      return {
+        id: index + 1,
+        ...box,
+        pixels: cluster.pixels,
+        density: parseFloat((cluster.pixels / (box.width * box.height)).toFixed(3)),
+        category,
+        offset
+      };
+    })
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Draw numbered, category-coloured rectangles for each cluster on top of the screenshot
+async function renderClusterOverlay(screenshotPng, clusters) {
+  const { width, height } = screenshotPng;
+
+  const shapes = clusters.map((cluster) => {
+    const color = CATEGORY_COLORS[cluster.category] || CATEGORY_COLORS.changed;
+    const label = escapeXml(cluster.id);
+    const labelWidth = 10 + label.length * 8;
+    const labelY = cluster.y >= 18 ? cluster.y - 18 : cluster.y;
+    return `<rect x="${cluster.x - 2}" y="${cluster.y - 2}" width="${cluster.width + 4}" height="${cluster.height + 4}" fill="${color}" fill-opacity="0.12" stroke="${color}" stroke-width="2"/>` +
+      `<rect x="${cluster.x - 2}" y="${labelY}" width="${labelWidth}" height="18" fill="${color}"/>` +
+      `<text x="${cluster.x + 3}" y="${labelY + 14}" font-family="sans-serif" font-size="13" font-weight="bold" fill="#ffffff">${label}</text>`;
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+
+  return sharp(screenshotPng.data, { raw: { width, height, channels: 4 } })
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
+
+module.exports = { clusterDiff, renderClusterOverlay, dilate, labelComponents, CATEGORY_COLORS };
@@ -0,0 +1,130 @@
+// Colour parsing and perceptual distance (CIEDE2000 on CIELAB, D65)
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  transparent: [0, 0, 0, 0]
+};
+
+// Parse #rgb, #rrggbb(aa), rgb()/rgba() and hsl()/hsla() into [r, g, b, a]; null if unknown
+function parseCssColor(value) {
+  if (typeof value !== 'string') return null;
+  const input = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[input]) {
+    const [r, g, b, a = 1] = NAMED_COLORS[input];
+    return [r, g, b, a];
+  }
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(input);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(d => d + d).join('');
+    const bytes = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return [bytes[0], bytes[1], bytes[2], bytes.length === 4 ? parseFloat((bytes[3] / 255).toFixed(3)) : 1];
+  }
+
+  const fn = /^(rgba?|hsla?)\(([^)]+)\)$/.exec(input);
+  if (!fn) return null;
+
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alpha = parts[3] === undefined ? 1 : parsePercentOr(parts[3], 1);
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => Math.round(parsePercentOr(part, 255)));
+    return [r, g, b, alpha];
+  }
+
+  const h = parseFloat(parts[0]);
+  const s = parseFloat(parts[1]) / 100;
+  const l = parseFloat(parts[2]) / 100;
+  const k = n => (n + h / 30) % 12;
+  const f = n => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [Math.round(f(0) * 255), Math.round(f(8) * 255), Math.round(f(4) * 255), alpha];
+}
+
+function parsePercentOr(part, scale) {
+  return part.endsWith('%') ? parseFloat(part) / 100 * scale : parseFloat(part);
+}
+
+function toHex([r, g, b]) {
+  return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// sRGB byte to linear light, precomputed since per-pixel maps call rgbToLab a lot
+const LINEAR = Float64Array.from({ length: 256 }, (_, v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+// sRGB bytes to CIELAB
+function rgbToLab(r, g, b) {
+  const lr = LINEAR[Math.round(r)];
+  const lg = LINEAR[Math.round(g)];
+  const lb = LINEAR[Math.round(b)];
+
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIEDE2000 colour difference between two CIELAB colours
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 6103515625)));
+
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dL = L2 - L1;
+  const dC = C2p - C1p;
+  let dh = 0;
+  if (C1p * C2p !== 0) {
+    dh = h2p - h1p;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(C1p * C2p) * Math.sin(dh / 2 * rad);
+
+  const Lbar = (L1 + L2) / 2;
+  const Cbar = (C1p + C2p) / 2;
+  let hbar = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) hbar += h1p + h2p < 360 ? 360 : -360;
+    hbar /= 2;
+  }
+
+  const T = 1 - 0.17 * Math.cos((hbar - 30) * rad) + 0.24 * Math.cos(2 * hbar * rad) +
+    0.32 * Math.cos((3 * hbar + 6) * rad) - 0.20 * Math.cos((4 * hbar - 63) * rad);
+  const Sl = 1 + 0.015 * Math.pow(Lbar - 50, 2) / Math.sqrt(20 + Math.pow(Lbar - 50, 2));
+  const Sc = 1 + 0.045 * Cbar;
+  const Sh = 1 + 0.015 * Cbar * T;
+  const Cbar7p = Math.pow(Cbar, 7);
+  const Rt = -2 * Math.sqrt(Cbar7p / (Cbar7p + 6103515625)) *
+    Math.sin(60 * Math.exp(-Math.pow((hbar - 275) / 25, 2)) * rad);
+
+  return Math.sqrt(
+    Math.pow(dL / Sl, 2) + Math.pow(dC / Sc, 2) + Math.pow(dH / Sh, 2) + Rt * (dC / Sc) * (dH / Sh)
+  );
+}
+
+module.exports = { parseCssColor, toHex, rgbToLab, deltaE2000 };
@@ -0,0 +1,414 @@
+const pixelmatch = require('pixelmatch');
+const { PNG } = require('pngjs');
+const { KnownDevices } = require('puppeteer');
+const { browserPool } = require('./browserPool');
+const { alignImages } = require('./align');
+const { analyzeRegions } = require('./regions');
+const { collectElementBoxes, attributeDiffToElements } = require('./elements');
+const { clusterDiff, renderClusterOverlay } = require('./clusters');
+const { maskSelectors, designRectToCanvas, buildMask, countMasked, neutralizeMasked, paintMask } = require('./masking');
+const { computeMetrics, hasCustomColors, PIXELMATCH_DEFAULTS } = require('./metrics');
+const { runSteps } = require('./steps');
+const { fetchFigmaDesign } = require('./figma');
+const { collectTextBoxes, diffText, figmaTextLayers } = require('./text');
+const { parseCaptureOptions, isFullPageCapture, prepareCapture, takeScreenshot } = require('./fullPage');
+const { isolateElement, resolveClip, shiftIntoClip, clipBoxes } = require('./clip');
+const { urlPolicy } = require('./urlPolicy');
+const { prepareSession, headersFor } = require('./session');
+const { interceptFor, applyDeterministic, settleAnimations } = require('./network');
+const { CancelledError } = require('./errors');
+const { createId, sleep } = require('./utils');
+
+// Navigate with networkidle2 first, falling back to the load event for chatty pages
+async function navigate(page, url, logTag = '[Compare]') {
+  console.log(`${logTag} Navigating to ${url}...`);
+  try {
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: 90000 // 90 seconds
+    });
+  } catch (navError) {
+    if (page.isClosed()) throw navError;
+
+    // If networkidle2 fails, try with 'load' event
+    console.log(`${logTag} networkidle2 timeout, retrying with load event...`);
+    await page.goto(url, {
+      waitUntil: 'load',
+      timeout: 90000
+    });
+    // Wait extra time for content
+    await sleep(3000);
+  }
+
+  // Wait a bit for any animations/lazy loading
+  await sleep(2000);
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+}
+
+// Resolve the viewport and user agent a capture should emulate.
+// `device` names one of Puppeteer's KnownDevices; explicit fields override it.
+function resolveEmulation(options) {
+  const { viewportWidth, viewportHeight, emulation = {} } = options;
+  const device = emulation.device ? KnownDevices[emulation.device] : null;
+
+  return {
+    viewport: {
+      width: viewportWidth,
+      height: viewportHeight,
+      deviceScaleFactor: emulation.deviceScaleFactor ?? device?.viewport.deviceScaleFactor ?? 1,
+      isMobile: emulation.isMobile ?? device?.viewport.isMobile ?? false,
+      hasTouch: emulation.hasTouch ?? device?.viewport.hasTouch ?? false,
+      isLandscape: device?.viewport.isLandscape ?? false
+    },
+    userAgent: emulation.userAgent || device?.userAgent
+  };
+}
+
+// What a result records about its network rules: the requests they blocked
+// or mocked and the deterministic clock and seed, if any
+function describeNetwork(network, log) {
+  if (!network) return undefined;
+  return {
+    blocked: log.blocked,
+    mocked: log.mocked,
+    deterministic: network.deterministic
+      ? { now: new Date(network.deterministic.now).toISOString(), seed: network.deterministic.seed }
+      : undefined
+  };
+}
+
+// Load the page and take the screenshot on a page the caller owns.
+// onPhase is called with 'navigating' and 'capturing' as work progresses;
+// aborting signal closes the page and rejects with CancelledError.
+async function captureOnPage(page, options, { onPhase = () => {}, signal } = {}) {
+  const { url, username, password, viewportHeight } = options;
+  const capture = options.capture || parseCaptureOptions();
+  // A clipped capture is exactly the element or rectangle asked for
+  const isFullPage = !options.clip && isFullPageCapture(capture, viewportHeight);
+
+  throwIfCancelled(signal);
+  // Refuse disallowed targets before touching the browser
+  await urlPolicy.check(url);
+
+  const closePage = () => page.close().catch(() => {});
+  signal?.addEventListener('abort', closePage, { once: true });
+
+  let guard = null;
+  const network = options.network;
+  const networkLog = { blocked: [], mocked: [] };
+  try {
+    onPhase('navigating');
+    // Every request the page makes, redirects included, is held to the URL policy;
+    // the request's network rules block or mock matching requests before that
+    guard = await urlPolicy.guardPage(page, {
+      headersFor: headersFor(options.session, url),
+      intercept: interceptFor(network, networkLog)
+    });
+
+    // Set viewport, plus pixel ratio, touch and user agent when emulating a device
+    const { viewport, userAgent } = resolveEmulation(options);
+    if (userAgent) {
+      await page.emulate({ viewport, userAgent });
+    } else {
+      await page.setViewport(viewport);
+    }
+
+    // Frozen clock, seeded Math.random and no animations or carets
+    if (network?.deterministic) {
+      await applyDeterministic(page, network.deterministic);
+    }
+
+    // Handle HTTP Basic Auth
+    if (username && password) {
+      await page.authenticate({ username, password });
+    }
+
+    // Log in (or reuse the project's cached session) and seed cookies and storage
+    const login = await prepareSession(page, options.session, { url, signal });
+
+    // Cookies and storage are seeded before the page loads, the rest runs after
+    const steps = options.steps || [];
+    const stepReport = [];
+    await runSteps(page, steps, { url, beforeNavigation: true, signal, report: stepReport });
+
+    await navigate(page, url);
+
+    await runSteps(page, steps, { url, signal, report: stepReport });
+
+    throwIfCancelled(signal);
+    onPhase('capturing');
+
+    if (network?.deterministic) {
+      await settleAnimations(page);
+    }
+
+    // Scroll for lazy content and settle fixed/sticky elements or grow the viewport
+    await prepareCapture(page, capture, viewport, signal);
+
+    let clip = null;
+    if (options.clip) {
+      if (options.clip.isolate) await isolateElement(page, options.clip.selector);
+      clip = await resolveClip(page, options.clip);
+      console.log(`[Compare] Clipping to ${clip.width}x${clip.height} at ${clip.x},${clip.y}`);
+    }
+
+    // Hide/blank dynamic content and remember where it was so the diff can ignore it
+    const maskedSelectors = options.ignore?.selectors?.length
+      ? await maskSelectors(page, options.ignore.selectors, options.ignore.mode, viewport.deviceScaleFactor)
+      : [];
+
+    // Element boxes let the diff be reported per DOM node
+    let elementBoxes = null;
+    if (options.elementReport !== false) {
+      elementBoxes = await collectElementBoxes(page, viewport.deviceScaleFactor);
+    }
+
+    // Visible text with boxes, for comparing copy against the design's text layers
+    let textBoxes = null;
+    if (options.designText || options.textReport) {
+      textBoxes = await collectTextBoxes(page, viewport.deviceScaleFactor);
+    }
+
+    console.log(`[Compare] Taking ${isFullPage ? 'full page' : 'viewport'} screenshot (${capture.mode})...`);
+
+    const screenshotBuffer = clip
+      ? await page.screenshot({ type: 'png', clip, captureBeyondViewport: true, omitBackground: options.clip.isolate })
+      : await takeScreenshot(page, capture, viewport, signal);
+
+    throwIfCancelled(signal);
+    // Something on the page was served from a private address
+    if (guard.error) throw guard.error;
+
+    if (clip) {
+      const scale = viewport.deviceScaleFactor;
+      return {
+        screenshotBuffer,
+        elementBoxes: elementBoxes && clipBoxes(elementBoxes, clip, scale),
+        textBoxes: textBoxes && clipBoxes(textBoxes, clip, scale),
+        maskedSelectors: maskedSelectors.map(entry => ({
+          ...entry,
+          boxes: entry.boxes.map(box => shiftIntoClip(box, clip, scale)).filter(Boolean)
+        })),
+        steps: stepReport,
+        isFullPage,
+        clip,
+        blockedByPolicy: guard.blocked,
+        login,
+        network: describeNetwork(network, networkLog),
+        emulation: viewport
+      };
+    }
+    return { screenshotBuffer, elementBoxes, textBoxes, maskedSelectors, steps: stepReport, isFullPage, blockedByPolicy: guard.blocked, login, network: describeNetwork(network, networkLog), emulation: viewport };
+  } catch (error) {
+    // Page errors after an abort are just the fallout of closing the page
+    throwIfCancelled(signal);
+    // A refused navigation surfaces as the policy's 4xx, not a net:: error
+    if (guard?.error) throw guard.error;
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', closePage);
+  }
+}
+
+// Load the page in a pooled browser and take the screenshot
+async function capturePage(options, { onPhase, signal } = {}) {
+  throwIfCancelled(signal);
+  return browserPool.withPage(page => captureOnPage(page, options, { onPhase, signal }));
+}
+
+// Capture the page and diff it against the design.
+// Phases reported through onPhase: 'navigating', 'capturing', 'diffing'.
+async function runComparison(options, { onPhase = () => {}, signal } = {}) {
+  const { url, viewportWidth, viewportHeight } = options;
+
+  console.log(`[Compare] Starting comparison for ${url} at ${viewportWidth}x${viewportHeight}`);
+
+  // A Figma frame stands in for the uploaded design; render it at the
+  // capture's pixel ratio so no rescaling is needed
+  let figma;
+  if (options.figma) {
+    onPhase('navigating');
+    const scale = options.figma.scale || resolveEmulation(options).viewport.deviceScaleFactor;
+    const design = await fetchFigmaDesign(options.figma, { scale });
+    throwIfCancelled(signal);
+
+    options = {
+      ...options,
+      designBuffer: design.buffer,
+      align: { ...options.align, dpr: design.scale },
+      designText: options.designText || figmaTextLayers(design.spec, design.scale)
+    };
+    figma = { fileKey: options.figma.fileKey, nodeId: options.figma.nodeId, scale: design.scale, spec: design.spec };
+  }
+
+  const capture = await capturePage(options, { onPhase, signal });
+
+  onPhase('diffing');
+  console.log('[Compare] Screenshot captured, processing images...');
+
+  const result = await diffImages(options.designBuffer, capture.screenshotBuffer, options, capture);
+  return {
+    ...result,
+    project: options.project,
+    capture: {
+      url,
+      width: viewportWidth,
+      height: viewportHeight,
+      mode: options.capture?.mode || 'auto',
+      clip: capture.clip && { ...capture.clip, selector: options.clip.selector, padding: options.clip.padding },
+      blockedByPolicy: capture.blockedByPolicy.length ? capture.blockedByPolicy : undefined,
+      login: capture.login || undefined,
+      network: capture.network
+    },
+    steps: capture.steps.length ? capture.steps : undefined,
+    figma
+  };
+}
+
+// Align the design with a screenshot, run pixelmatch and build the result payload
+async function diffImages(designBuffer, screenshotBuffer, options = {}, { isFullPage = false, elementBoxes = null, textBoxes = null, maskedSelectors = [], emulation } = {}) {
+  // Bring the design onto the screenshot's pixel grid
+  const { designPng, screenshotPng, transform } = await alignImages(designBuffer, screenshotBuffer, options.align, {
+    extendCanvas: isFullPage,
+    screenshotDpr: emulation?.deviceScaleFactor || 1
+  });
+  const compareWidth = transform.canvas.width;
+  const compareHeight = transform.canvas.height;
+
+  console.log(`[Compare] Comparing at ${compareWidth}x${compareHeight} (fit: ${transform.fit}, dpr: ${transform.dpr})`);
+
+  // Ignored areas: rectangles given in design pixels plus the boxes of masked selectors
+  const ignoredRegions = (options.ignore?.regions || []).map(rect => designRectToCanvas(rect, transform));
+  const mask = buildMask(compareWidth, compareHeight, [
+    ...ignoredRegions,
+    ...maskedSelectors.flatMap(entry => entry.boxes)
+  ]);
+  const maskedPixels = countMasked(mask);
+
+  // Create diff image
+  const diffOptions = options.diff || { pixelmatch: PIXELMATCH_DEFAULTS, metrics: [] };
+  const { threshold, includeAA, alpha } = diffOptions.pixelmatch;
+  const designData = mask ? neutralizeMasked(designPng.data, screenshotPng.data, mask) : designPng.data;
+  const diffPng = new PNG({ width: compareWidth, height: compareHeight });
+
+  const mismatchedPixels = pixelmatch(
+    designData,
+    screenshotPng.data,
+    diffPng.data,
+    compareWidth,
+    compareHeight,
+    { threshold, includeAA, alpha }
+  );
+
+  // The analysis below reads the default colours, so custom ones get their own image
+  let styledDiffPng = diffPng;
+  if (hasCustomColors(diffOptions.pixelmatch)) {
+    styledDiffPng = new PNG({ width: compareWidth, height: compareHeight });
+    pixelmatch(designData, screenshotPng.data, styledDiffPng.data, compareWidth, compareHeight, diffOptions.pixelmatch);
+  }
+
+  if (mask) {
+    paintMask(diffPng.data, mask);
+    if (styledDiffPng !== diffPng) paintMask(styledDiffPng.data, mask);
+  }
+
+  // Masked pixels count neither as compared nor as mismatched
+  const totalPixels = compareWidth * compareHeight - maskedPixels;
+  const diffRatio = totalPixels ? mismatchedPixels / totalPixels : 0;
+  const matchPercentage = ((1 - diffRatio) * 100).toFixed(2);
+  const diffPercentage = (diffRatio * 100).toFixed(2);
+
+  console.log(`[Compare] Analysis complete. Match: ${matchPercentage}%, Diff: ${diffPercentage}%`);
+
+  // Analyze differences by region
+  const regions = analyzeRegions(diffPng.data, compareWidth, compareHeight, mask);
+
+  // Map mismatches to the elements that contain them
+  const elements = elementBoxes
+    ? attributeDiffToElements(diffPng.data, compareWidth, compareHeight, elementBoxes)
+    : undefined;
+
+  // Cluster the mismatches into connected regions and mark them on the screenshot
+  const clustering = clusterDiff(diffPng.data, designPng.data, screenshotPng.data, compareWidth, compareHeight, options.clusters);
+  const overlayBuffer = await renderClusterOverlay(screenshotPng, clustering.clusters);
+
+  // Copy differences between the design's text layers and the page text
+  const text = options.designText && textBoxes
+    ? diffText(options.designText, textBoxes, transform, { screenshotDpr: emulation?.deviceScaleFactor || 1 })
+    : undefined;
+
+  // Optional perceptual and structural metrics, each reported on its own
+  const extra = computeMetrics(designData, screenshotPng.data, compareWidth, compareHeight, mask, diffOptions.metrics);
+
+  return {
+    id: createId(),
+    timestamp: Date.now(),
+    // PNG buffers; the result store decides whether clients get them inline or as URLs
+    images: {
+      design: PNG.sync.write(designPng),
+      screenshot: PNG.sync.write(screenshotPng),
+      diff: PNG.sync.write(styledDiffPng),
+      overlay: overlayBuffer,
+      ...extra.images
+    },
+    stats: {
+      totalPixels,
+      mismatchedPixels,
+      matchPercentage: parseFloat(matchPercentage),
+      diffPercentage: parseFloat(diffPercentage),
+      viewport: { width: compareWidth, height: compareHeight },
+      isFullPage,
+      maskedPixels,
+      maskedPercentage: parseFloat((maskedPixels / (compareWidth * compareHeight) * 100).toFixed(2)),
+      clusterCount: clustering.total
+    },
+    metrics: {
+      pixelmatch: {
+        threshold,
+        includeAA,
+        alpha,
+        mismatchedPixels,
+        matchPercentage: parseFloat(matchPercentage)
+      },
+      ...extra.metrics
+    },
+    alignment: transform,
+    masking: mask ? {
+      regions: ignoredRegions,
+      selectors: maskedSelectors.map(({ selector, matched, error }) => ({ selector, matched, error }))
+    } : undefined,
+    regions,
+    clusters: clustering.clusters,
+    elements,
+    text,
+    pageText: options.textReport ? textBoxes : undefined
+  };
+}
+
+// Turn Chromium/Puppeteer errors into messages a user can act on
+function describeError(error) {
+  let errorMessage = error.message || 'An error occurred during comparison';
+
+  if (error.message?.includes('net::ERR_NAME_NOT_RESOLVED')) {
+    errorMessage = 'Could not resolve domain. Please check the URL.';
+  } else if (error.message?.includes('net::ERR_CONNECTION_REFUSED')) {
+    errorMessage = 'Connection refused. The server may be down.';
+  } else if (error.message?.includes('net::ERR_CONNECTION_TIMED_OUT')) {
+    errorMessage = 'Connection timed out. The server is too slow to respond.';
+  } else if (error.message?.includes('Navigation timeout')) {
+    errorMessage = 'Page took too long to load. Try a simpler page or check your connection.';
+  } else if (error.message?.includes('net::ERR_CERT')) {
+    errorMessage = 'SSL certificate error. The site may have an invalid certificate.';
+  } else if (error.message?.includes('401') || error.message?.includes('Unauthorized')) {
+    errorMessage = 'Authentication failed. Please check username and password.';
+  }
+
+  return errorMessage;
+}
+
+module.exports = { runComparison, capturePage, captureOnPage, diffImages, resolveEmulation, navigate, describeError };
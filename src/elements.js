@@ -0,0 +1,114 @@
+const { getSeverity, isDiffPixel } = require('./regions');
+
+const MAX_ELEMENTS = 3000;
+
+// Collect document-space boxes of every visible element on the page.
+// Uses the same selector scheme as /api/inspect so reports line up.
+// Boxes are multiplied by scale so they match screenshot pixels on high-DPR captures.
+async function collectElementBoxes(page, scale = 1) {
+  return page.evaluate((maxElements, scale) => {
+    // Get element selector path
+    const getSelector = (el) => {
+      if (el.id) return `#${el.id}`;
+      if (el.className && typeof el.className === 'string') {
+        const classes = el.className.trim().split(/\s+/).filter(c => c).slice(0, 2);
+        if (classes.length) return `${el.tagName.toLowerCase()}.${classes.join('.')}`;
+      }
+      return el.tagName.toLowerCase();
+    };
+
+    const boxes = [];
+    const walk = (el, depth) => {
+      if (boxes.length >= maxElements) return;
+
+      const computed = window.getComputedStyle(el);
+      if (computed.display === 'none') return;
+
+      const rect = el.getBoundingClientRect();
+      const visible = rect.width > 0 && rect.height > 0 &&
+        computed.visibility !== 'hidden' && parseFloat(computed.opacity) > 0;
+
+      if (visible) {
+        boxes.push({
+          tag: el.tagName.toLowerCase(),
+          selector: getSelector(el),
+          text: (el.innerText || el.getAttribute('alt') || '').trim().replace(/\s+/g, ' ').substring(0, 50),
+          depth,
+          box: {
+            x: Math.round((rect.left + window.scrollX) * scale),
+            y: Math.round((rect.top + window.scrollY) * scale),
+            width: Math.round(rect.width * scale),
+            height: Math.round(rect.height * scale)
+          }
+        });
+      }
+
+      for (const child of el.children) walk(child, depth + 1);
+    };
+
+    if (document.body) walk(document.body, 0);
+    return boxes;
+  }, MAX_ELEMENTS, scale);
+}
+
+// Attribute diff pixels to the innermost element covering them.
+// Elements are painted into an ownership map outermost first, so children
+// (and later siblings) overwrite their parents; each diff pixel is then
+// credited to whichever element owns it.
+function attributeDiffToElements(diffData, width, height, elements, { limit = 20 } = {}) {
+  const owner = new Int32Array(width * height).fill(-1);
+
+  const order = elements
+    .map((element, index) => ({ element, index }))
+    .sort((a, b) => a.element.depth - b.element.depth || a.index - b.index);
+
+  for (const { element, index } of order) {
+    const { box } = element;
+    const x0 = Math.max(0, box.x);
+    const x1 = Math.min(width, box.x + box.width);
+    if (x1 <= x0) continue;
+    for (let y = Math.max(0, box.y); y < Math.min(height, box.y + box.height); y++) {
+      owner.fill(index, y * width + x0, y * width + x1);
+    }
+  }
+
+  const counts = new Map();
+  let totalDiff = 0;
+  let unattributed = 0;
+  for (let p = 0; p < owner.length; p++) {
+    if (!isDiffPixel(diffData, p * 4)) continue;
+    totalDiff++;
+    const index = owner[p];
+    if (index === -1) {
+      unattributed++;
+    } else {
+      counts.set(index, (counts.get(index) || 0) + 1);
+    }
+  }
+
+  const ranked = Array.from(counts.entries())
+    .map(([index, diffPixels]) => {
+      const { tag, selector, text, box } = elements[index];
+      const area = Math.max(1, box.width * box.height);
+      const diffPercent = (diffPixels / area * 100).toFixed(1);
+      return {
+        selector,
+        tag,
+        text,
+        box,
+        diffPixels,
+        diffPercent: parseFloat(diffPercent),
+        share: parseFloat((diffPixels / totalDiff * 100).toFixed(1)),
+        severity: getSeverity(diffPercent)
+      };
+    })
+    .sort((a, b) => b.diffPixels - a.diffPixels);
+
+  return {
+    elementsScanned: elements.length,
+    unattributedPixels: unattributed,
+    offenders: ranked.slice(0, limit)
+  };
+}
+
+module.exports = { collectElementBoxes, attributeDiffToElements };
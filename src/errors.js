@@ -0,0 +1,36 @@
+// Error carrying the HTTP status the route handlers should answer with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Raised when a running comparison is cancelled by the client
+class CancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+// Raised when a page preparation step fails; carries the step report so far
+class StepError extends HttpError {
+  constructor(message, steps) {
+    super(422, message);
+    this.name = 'StepError';
+    this.steps = steps;
+  }
+}
+
+// Raised when a URL is outside the configured URL policy
+class UrlPolicyError extends HttpError {
+  constructor(message, url, status = 403) {
+    super(status, message);
+    this.name = 'UrlPolicyError';
+    this.url = url;
+  }
+}
+
+module.exports = { HttpError, CancelledError, StepError, UrlPolicyError };
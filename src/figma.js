@@ -0,0 +1,228 @@
+const { HttpError } = require('./errors');
+
+const FIGMA_API_URL = process.env.FIGMA_API_URL || 'https://api.figma.com';
+const MAX_SPEC_ELEMENTS = 500;
+
+// Minimal Figma REST client. Everything goes through `baseUrl` and the
+// injected `fetch`, so it can be pointed at a local mock server that replays
+// recorded responses.
+class FigmaClient {
+  constructor({ token, baseUrl = FIGMA_API_URL, fetch = globalThis.fetch, timeout = 60000 } = {}) {
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetch = fetch;
+    this.timeout = timeout;
+  }
+
+  async request(path) {
+    if (!this.token) {
+      throw new HttpError(400, 'A Figma token is required (figmaToken or FIGMA_TOKEN)');
+    }
+
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      headers: { 'X-Figma-Token': this.token },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 403 || response.status === 401) {
+      throw new HttpError(502, 'Figma rejected the token or the file is not shared with it');
+    }
+    if (response.status === 404) {
+      throw new HttpError(404, 'Figma file not found');
+    }
+    if (!response.ok) {
+      throw new HttpError(502, `Figma API answered ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Node document (with children) for one node of a file
+  async getNode(fileKey, nodeId) {
+    const body = await this.request(`/v1/files/${encodeURIComponent(fileKey)}/nodes?ids=${encodeURIComponent(nodeId)}`);
+    const node = body.nodes?.[nodeId]?.document;
+    if (!node) {
+      throw new HttpError(404, `Figma node ${nodeId} not found in file ${fileKey}`);
+    }
+    return node;
+  }
+
+  // PNG render of a node at the given scale
+  async renderNode(fileKey, nodeId, scale = 1) {
+    const body = await this.request(
+      `/v1/images/${encodeURIComponent(fileKey)}?ids=${encodeURIComponent(nodeId)}&scale=${scale}&format=png`
+    );
+    const imageUrl = body.images?.[nodeId];
+    if (body.err || !imageUrl) {
+      throw new HttpError(502, `Figma could not render node ${nodeId}${body.err ? `: ${body.err}` : ''}`);
+    }
+
+    // Rendered images live on a CDN and need no token
+    const response = await this.fetch(imageUrl, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw new HttpError(502, `Downloading the Figma render failed with ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+function createFigmaClient(token) {
+  return new FigmaClient({ token: token || process.env.FIGMA_TOKEN });
+}
+
+// Read figmaUrl, or figmaFileKey plus figmaNodeId, from a request body.
+// Returns null when the request has no Figma source.
+function parseFigmaSource(body = {}) {
+  let { figmaFileKey: fileKey, figmaNodeId: nodeId, figmaUrl } = body;
+
+  if (figmaUrl) {
+    const match = /figma\.com\/(?:file|design|proto)\/([A-Za-z0-9]+)/.exec(figmaUrl);
+    let urlNodeId = null;
+    try {
+      urlNodeId = new URL(figmaUrl).searchParams.get('node-id');
+    } catch (error) {
+      // A malformed link simply has no node id
+    }
+    if (!match) {
+      throw new HttpError(400, 'figmaUrl must be a figma.com file or design link');
+    }
+    fileKey = fileKey || match[1];
+    nodeId = nodeId || urlNodeId;
+  }
+
+  if (!fileKey && !nodeId) return null;
+  if (!fileKey || !nodeId) {
+    throw new HttpError(400, 'figmaFileKey and figmaNodeId must be given together');
+  }
+
+  // Links write node ids as 1-2, the API expects 1:2
+  nodeId = String(nodeId).replace(/-/g, ':');
+  if (!/^[A-Za-z0-9]+$/.test(fileKey) || !/^[\w:;]+$/.test(nodeId)) {
+    throw new HttpError(400, 'Invalid Figma file key or node id');
+  }
+
+  const scale = body.figmaScale === undefined ? undefined : parseFloat(body.figmaScale);
+  if (scale !== undefined && !(scale >= 0.5 && scale <= 4)) {
+    throw new HttpError(400, 'figmaScale must be between 0.5 and 4');
+  }
+
+  return { fileKey, nodeId, scale, token: body.figmaToken };
+}
+
+// Figma colours are 0-1 floats; inspect reports computed CSS colours
+function toCssColor(color, opacity = 1) {
+  const r = Math.round(color.r * 255);
+  const g = Math.round(color.g * 255);
+  const b = Math.round(color.b * 255);
+  const a = parseFloat(((color.a ?? 1) * opacity).toFixed(3));
+  return a >= 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+function solidFill(node) {
+  const fill = (node.fills || []).find(f => f.type === 'SOLID' && f.visible !== false);
+  return fill ? toCssColor(fill.color, fill.opacity ?? 1) : null;
+}
+
+// Flatten a node tree into the same shape /api/inspect returns (typography,
+// colors, spacing, elements) with positions relative to the frame, in CSS pixels
+function extractDesignSpec(root) {
+  const origin = root.absoluteBoundingBox || { x: 0, y: 0, width: 0, height: 0 };
+  const fontMap = new Map();
+  const colorMap = new Map();
+  const spacingSet = new Set();
+  const elements = [];
+
+  const addColor = (color, usage, name) => {
+    if (!color) return;
+    if (!colorMap.has(color)) colorMap.set(color, { color, usage, count: 0, examples: [] });
+    const entry = colorMap.get(color);
+    entry.count++;
+    if (entry.examples.length < 3) entry.examples.push(name);
+  };
+
+  const walk = (node) => {
+    if (node.visible === false) return;
+    const box = node.absoluteBoundingBox;
+    const fill = solidFill(node);
+
+    if (node.type === 'TEXT' && node.style) {
+      const { fontFamily, fontSize, fontWeight, lineHeightPx, letterSpacing } = node.style;
+      const font = {
+        fontFamily,
+        fontSize: `${fontSize}px`,
+        fontWeight: String(fontWeight),
+        lineHeight: lineHeightPx ? `${parseFloat(lineHeightPx.toFixed(2))}px` : 'normal'
+      };
+      const fontKey = `${font.fontFamily}|${font.fontSize}|${font.fontWeight}`;
+      if (!fontMap.has(fontKey)) fontMap.set(fontKey, { ...font, count: 0, examples: [] });
+      const fontEntry = fontMap.get(fontKey);
+      fontEntry.count++;
+      if (fontEntry.examples.length < 3) {
+        fontEntry.examples.push({ name: node.name, text: (node.characters || '').substring(0, 30) });
+      }
+      addColor(fill, 'text', node.name);
+
+      if (box && elements.length < MAX_SPEC_ELEMENTS) {
+        elements.push({
+          type: 'text',
+          id: node.id,
+          name: node.name,
+          text: (node.characters || '').substring(0, 50),
+          position: relativeBox(box, origin),
+          styles: { ...font, letterSpacing: letterSpacing ? `${letterSpacing}px` : 'normal', color: fill }
+        });
+      }
+    } else {
+      addColor(fill, 'fill', node.name);
+
+      for (const key of ['paddingTop', 'paddingBottom', 'itemSpacing']) {
+        if (node[key] > 0) spacingSet.add(Math.round(node[key]));
+      }
+
+      if (box && node !== root && fill && elements.length < MAX_SPEC_ELEMENTS) {
+        elements.push({
+          type: node.type.toLowerCase(),
+          id: node.id,
+          name: node.name,
+          position: relativeBox(box, origin),
+          styles: {
+            backgroundColor: fill,
+            padding: `${node.paddingTop || 0}px ${node.paddingRight || 0}px ${node.paddingBottom || 0}px ${node.paddingLeft || 0}px`,
+            borderRadius: `${node.cornerRadius || 0}px`
+          }
+        });
+      }
+    }
+
+    for (const child of node.children || []) walk(child);
+  };
+
+  walk(root);
+
+  return {
+    frame: { id: root.id, name: root.name, width: Math.round(origin.width), height: Math.round(origin.height) },
+    typography: Array.from(fontMap.values()).sort((a, b) => b.count - a.count),
+    colors: Array.from(colorMap.values()).sort((a, b) => b.count - a.count),
+    spacing: Array.from(spacingSet).sort((a, b) => a - b),
+    elements
+  };
+}
+
+function relativeBox(box, origin) {
+  return {
+    top: Math.round(box.y - origin.y),
+    left: Math.round(box.x - origin.x),
+    width: Math.round(box.width),
+    height: Math.round(box.height)
+  };
+}
+
+// Render the frame and read its spec. `scale` should match the pixel ratio of
+// the screenshot it will be compared with.
+async function fetchFigmaDesign(source, { scale = 1, client = createFigmaClient(source.token) } = {}) {
+  console.log(`[Figma] Fetching ${source.fileKey} node ${source.nodeId} at ${scale}x`);
+  const node = await client.getNode(source.fileKey, source.nodeId);
+  const buffer = await client.renderNode(source.fileKey, source.nodeId, scale);
+  return { buffer, scale, spec: extractDesignSpec(node) };
+}
+
+module.exports = { FigmaClient, createFigmaClient, parseFigmaSource, extractDesignSpec, fetchFigmaDesign };
@@ -0,0 +1,191 @@
+const sharp = require('sharp');
+const { HttpError, CancelledError } = require('./errors');
+const { sleep } = require('./utils');
+
+// auto: the legacy rule, full page when the requested height is over 2000px
+// viewport: just the viewport
+// fullpage: Puppeteer's fullPage screenshot
+// scroll: scroll through the page and stitch viewport-sized tiles
+// expand: scroll through the page, then grow the viewport to the document height
+const CAPTURE_MODES = ['auto', 'viewport', 'fullpage', 'scroll', 'expand'];
+const MAX_CAPTURE_HEIGHT = 15000;
+const IMAGE_TIMEOUT = 10000;
+
+// Read captureMode, scrollDelay (ms to wait after each scroll step) and
+// maxCaptureHeight (CSS px) from a request body
+function parseCaptureOptions(body = {}) {
+  const mode = body.captureMode || 'auto';
+  if (!CAPTURE_MODES.includes(mode)) {
+    throw new HttpError(400, `captureMode must be one of: ${CAPTURE_MODES.join(', ')}`);
+  }
+
+  const scrollDelay = body.scrollDelay === undefined ? 250 : parseInt(body.scrollDelay);
+  if (!Number.isFinite(scrollDelay) || scrollDelay < 0 || scrollDelay > 5000) {
+    throw new HttpError(400, 'scrollDelay must be between 0 and 5000 ms');
+  }
+
+  const maxHeight = Math.min(parseInt(body.maxCaptureHeight) || MAX_CAPTURE_HEIGHT, MAX_CAPTURE_HEIGHT);
+
+  return { mode, scrollDelay, maxHeight };
+}
+
+// Whether the screenshot covers more than the viewport
+function isFullPageCapture(capture, viewportHeight) {
+  if (capture.mode === 'auto') return viewportHeight > 2000;
+  return capture.mode !== 'viewport';
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new CancelledError();
+}
+
+function documentHeight(page, maxHeight) {
+  return page.evaluate(max => Math.min(
+    Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+    max
+  ), maxHeight);
+}
+
+// Wait until every loaded <img> has decoded, giving up after IMAGE_TIMEOUT
+async function waitForImages(page) {
+  await page.evaluate(timeout => Promise.race([
+    Promise.all(Array.from(document.images)
+      .filter(img => img.currentSrc || img.src)
+      .map(img => (img.complete ? img.decode() : new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+      }).then(() => img.decode())).catch(() => {}))),
+    new Promise(resolve => setTimeout(resolve, timeout))
+  ]), IMAGE_TIMEOUT);
+}
+
+// Scroll to the bottom one viewport at a time so lazy images and infinite
+// scroll content load, then return to the top once the images have decoded.
+// Pages that keep growing stop at maxHeight.
+async function scrollThrough(page, { scrollDelay, maxHeight }, signal) {
+  const viewportHeight = await page.evaluate(() => window.innerHeight);
+  let y = 0;
+  let steps = 0;
+
+  while (y + viewportHeight < await documentHeight(page, maxHeight)) {
+    throwIfCancelled(signal);
+    y += viewportHeight;
+    await page.evaluate(top => window.scrollTo(0, top), y);
+    await sleep(scrollDelay);
+    steps++;
+  }
+
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await waitForImages(page);
+  console.log(`[Capture] Scrolled through ${steps} viewports`);
+}
+
+// Sticky elements go back into the flow so they appear once, where the page
+// puts them; fixed ones are tagged so tiles after the first can hide them
+async function unstickElements(page) {
+  return page.evaluate(() => {
+    let sticky = 0;
+    let fixed = 0;
+    for (const el of document.querySelectorAll('body *')) {
+      const { position } = getComputedStyle(el);
+      if (position === 'sticky' || position === '-webkit-sticky') {
+        el.style.setProperty('position', 'static', 'important');
+        sticky++;
+      } else if (position === 'fixed') {
+        el.setAttribute('data-perfect-pixel-fixed', '');
+        fixed++;
+      }
+    }
+    return { sticky, fixed };
+  });
+}
+
+// Take viewport-sized screenshots down the page and stitch them into one PNG.
+// Fixed elements are only captured in the first tile.
+async function stitchScreenshot(page, viewport, { maxHeight, scrollDelay }, signal) {
+  const dpr = viewport.deviceScaleFactor || 1;
+  const height = await documentHeight(page, maxHeight);
+  const { innerHeight, innerWidth } = await page.evaluate(() => ({ innerHeight: window.innerHeight, innerWidth: window.innerWidth }));
+  const canvasWidth = Math.round(innerWidth * dpr);
+  const canvasHeight = Math.round(height * dpr);
+
+  const tiles = [];
+  for (let y = 0; y < height; y += innerHeight) {
+    throwIfCancelled(signal);
+    const scrolled = await page.evaluate(top => {
+      window.scrollTo(0, top);
+      return window.scrollY;
+    }, y);
+
+    if (tiles.length === 1) {
+      await page.addStyleTag({ content: '[data-perfect-pixel-fixed] { visibility: hidden !important; }' });
+    }
+    await sleep(scrollDelay);
+
+    const buffer = await page.screenshot({ type: 'png' });
+    const top = Math.round(scrolled * dpr);
+    const tileHeight = Math.min(Math.round(innerHeight * dpr), canvasHeight - top);
+    if (tileHeight <= 0) break;
+
+    const meta = await sharp(buffer).metadata();
+    tiles.push({
+      input: await sharp(buffer)
+        .extract({ left: 0, top: 0, width: Math.min(meta.width, canvasWidth), height: Math.min(meta.height, tileHeight) })
+        .toBuffer(),
+      top,
+      left: 0
+    });
+  }
+
+  await page.evaluate(() => window.scrollTo(0, 0));
+  console.log(`[Capture] Stitched ${tiles.length} tiles into ${canvasWidth}x${canvasHeight}`);
+
+  return sharp({ create: { width: canvasWidth, height: canvasHeight, channels: 4, background: '#ffffff' } })
+    .composite(tiles)
+    .png()
+    .toBuffer();
+}
+
+// Pin elements sized to the viewport (100vh heroes) at their current height,
+// then make the viewport as tall as the document
+async function expandViewport(page, viewport, { maxHeight }) {
+  await page.evaluate(() => {
+    const vh = window.innerHeight;
+    for (const el of document.querySelectorAll('body *')) {
+      const { height } = el.getBoundingClientRect();
+      if (Math.abs(height - vh) <= 1) el.style.setProperty('height', `${height}px`, 'important');
+    }
+  });
+
+  const height = await documentHeight(page, maxHeight);
+  await page.setViewport({ ...viewport, height });
+  await waitForImages(page);
+  console.log(`[Capture] Expanded viewport to ${viewport.width}x${height}`);
+}
+
+// Get the page ready for the chosen capture mode; runs before masking and
+// box collection so those see the final layout
+async function prepareCapture(page, capture, viewport, signal) {
+  if (capture.mode !== 'scroll' && capture.mode !== 'expand') return;
+
+  await scrollThrough(page, capture, signal);
+  if (capture.mode === 'scroll') {
+    const { sticky, fixed } = await unstickElements(page);
+    console.log(`[Capture] Unstuck ${sticky} sticky and tagged ${fixed} fixed elements`);
+  } else {
+    await expandViewport(page, viewport, capture);
+  }
+}
+
+async function takeScreenshot(page, capture, viewport, signal) {
+  if (capture.mode === 'scroll') {
+    return stitchScreenshot(page, viewport, capture, signal);
+  }
+  return page.screenshot({
+    type: 'png',
+    fullPage: capture.mode === 'fullpage' || (capture.mode === 'auto' && viewport.height > 2000)
+  });
+}
+
+module.exports = { parseCaptureOptions, isFullPageCapture, prepareCapture, takeScreenshot, CAPTURE_MODES };
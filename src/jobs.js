@@ -0,0 +1,144 @@
+const { EventEmitter } = require('events');
+const { CancelledError } = require('./errors');
+const { createId } = require('./utils');
+
+// Rough progress reported for each phase of a comparison
+const PHASE_PROGRESS = {
+  queued: 0,
+  navigating: 10,
+  capturing: 50,
+  diffing: 70,
+  done: 100
+};
+
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+// Tracks background work started by the API. Every state change is emitted
+// as an 'update' event so status streams can follow along.
+class JobManager extends EventEmitter {
+  constructor({ retention = 30 * 60 * 1000 } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.retention = retention;
+  }
+
+  // Start run(job, { signal, setPhase }) in the background and return the job right away.
+  // Whatever run resolves with becomes job.result.
+  create(type, run, meta = {}) {
+    const job = {
+      id: createId(),
+      type,
+      status: 'queued',
+      phase: 'queued',
+      progress: 0,
+      meta,
+      error: null,
+      result: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+    this.jobs.set(job.id, job);
+
+    // Multi-step jobs pass { step, steps } so progress covers the whole run
+    const setPhase = (phase, { step = 0, steps = 1 } = {}) => {
+      if (this.isFinished(job)) return;
+      if (job.status === 'queued') {
+        job.status = 'running';
+        job.startedAt = Date.now();
+      }
+      job.phase = phase;
+      if (steps > 1) {
+        job.step = step + 1;
+        job.steps = steps;
+      }
+      const phaseProgress = PHASE_PROGRESS[phase] ?? 0;
+      job.progress = Math.round((step * 100 + phaseProgress) / steps);
+      this._touch(job);
+    };
+
+    setImmediate(async () => {
+      try {
+        const result = await run(job, { signal: job.controller.signal, setPhase });
+        if (this.isFinished(job)) return;
+        job.result = result;
+        job.status = 'done';
+        job.phase = 'done';
+        job.progress = 100;
+      } catch (error) {
+        if (this.isFinished(job)) return;
+        if (error instanceof CancelledError || job.controller.signal.aborted) {
+          job.status = 'cancelled';
+        } else {
+          console.error(`[Jobs] Job ${job.id} failed:`, error);
+          job.status = 'failed';
+          job.error = error.message;
+        }
+      }
+      job.finishedAt = Date.now();
+      this._touch(job);
+    });
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  // Abort a queued or running job; returns false when it had already finished
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) return false;
+
+    job.controller.abort();
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    this._touch(job);
+    return true;
+  }
+
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  // Public view of a job, without the result payload
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      phase: job.phase,
+      progress: job.progress,
+      step: job.step,
+      steps: job.steps,
+      error: job.error || undefined,
+      resultId: job.result?.id,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  purge() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs.entries()) {
+      if (this.isFinished(job) && now - job.finishedAt > this.retention) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  _touch(job) {
+    job.updatedAt = Date.now();
+    this.emit('update', job);
+  }
+}
+
+const jobManager = new JobManager();
+
+module.exports = { JobManager, jobManager };
@@ -0,0 +1,146 @@
+const { HttpError } = require('./errors');
+const { parseJsonField } = require('./utils');
+
+const MAX_REGIONS = 100;
+const MAX_SELECTORS = 50;
+const MASK_MODES = ['hide', 'blank'];
+
+// Grey used for ignored pixels in the diff image
+const MASK_COLOR = [190, 190, 190];
+
+// Read ignoreRegions (rectangles in design pixels), ignoreSelectors and
+// ignoreMode from a request body
+function parseIgnoreOptions(body = {}) {
+  const regions = parseJsonField(body.ignoreRegions, 'ignoreRegions') || [];
+  let selectors = parseJsonField(body.ignoreSelectors, 'ignoreSelectors') || [];
+  if (typeof selectors === 'string') selectors = [selectors];
+  const mode = body.ignoreMode || 'blank';
+
+  if (!Array.isArray(regions) || regions.length > MAX_REGIONS) {
+    throw new HttpError(400, `ignoreRegions must be an array of at most ${MAX_REGIONS} rectangles`);
+  }
+  for (const region of regions) {
+    const valid = region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]) && region[key] >= 0);
+    if (!valid || !region.width || !region.height) {
+      throw new HttpError(400, 'Each ignore region needs numeric x, y, width and height');
+    }
+  }
+
+  if (!Array.isArray(selectors) || selectors.length > MAX_SELECTORS || selectors.some(s => typeof s !== 'string' || !s.trim())) {
+    throw new HttpError(400, `ignoreSelectors must be an array of at most ${MAX_SELECTORS} CSS selectors`);
+  }
+  if (!MASK_MODES.includes(mode)) {
+    throw new HttpError(400, `ignoreMode must be one of: ${MASK_MODES.join(', ')}`);
+  }
+
+  return { regions, selectors, mode };
+}
+
+// Hide or blank the matching elements before capture and return their boxes
+// in screenshot pixels. 'hide' makes them invisible but keeps layout;
+// 'blank' paints them as flat grey blocks.
+async function maskSelectors(page, selectors, mode, scale = 1) {
+  if (!selectors.length) return [];
+
+  return page.evaluate((selectors, mode, scale) => {
+    // :is() keeps selector lists like ".a, .b" intact in the descendant rule
+    const rules = selectors.map(selector => mode === 'hide'
+      ? `${selector} { visibility: hidden !important; }`
+      : `${selector} { background: #bebebe !important; background-image: none !important; color: transparent !important; }` +
+        `:is(${selector}) * { visibility: hidden !important; }`);
+
+    const style = document.createElement('style');
+    style.setAttribute('data-perfect-pixel-mask', '');
+    style.textContent = rules.join('\n');
+    document.head.appendChild(style);
+
+    return selectors.map((selector) => {
+      let elements = [];
+      try {
+        elements = Array.from(document.querySelectorAll(selector));
+      } catch (e) {
+        return { selector, error: 'Invalid selector', boxes: [] };
+      }
+
+      const boxes = elements
+        .map(el => el.getBoundingClientRect())
+        .filter(rect => rect.width > 0 && rect.height > 0)
+        .map(rect => ({
+          x: Math.floor((rect.left + window.scrollX) * scale),
+          y: Math.floor((rect.top + window.scrollY) * scale),
+          width: Math.ceil(rect.width * scale),
+          height: Math.ceil(rect.height * scale)
+        }));
+      return { selector, matched: elements.length, boxes };
+    });
+  }, selectors, mode, scale);
+}
+
+// Map a rectangle in design pixels onto the aligned canvas
+function designRectToCanvas(rect, transform) {
+  const scaleX = transform.scaledSize.width / transform.designSize.width;
+  const scaleY = transform.scaledSize.height / transform.designSize.height;
+  const x = Math.floor(transform.placement.left + rect.x * scaleX);
+  const y = Math.floor(transform.placement.top + rect.y * scaleY);
+  return {
+    x,
+    y,
+    width: Math.ceil(transform.placement.left + (rect.x + rect.width) * scaleX) - x,
+    height: Math.ceil(transform.placement.top + (rect.y + rect.height) * scaleY) - y
+  };
+}
+
+// 1 for every ignored pixel; null when nothing is ignored
+function buildMask(width, height, rects) {
+  if (!rects.length) return null;
+
+  const mask = new Uint8Array(width * height);
+  for (const rect of rects) {
+    const x0 = Math.max(0, rect.x);
+    const x1 = Math.min(width, rect.x + rect.width);
+    if (x1 <= x0) continue;
+    for (let y = Math.max(0, rect.y); y < Math.min(height, rect.y + rect.height); y++) {
+      mask.fill(1, y * width + x0, y * width + x1);
+    }
+  }
+  return mask;
+}
+
+function countMasked(mask) {
+  if (!mask) return 0;
+  let count = 0;
+  for (let p = 0; p < mask.length; p++) count += mask[p];
+  return count;
+}
+
+// Copy of the design with ignored pixels taken from the screenshot, so
+// pixelmatch sees them as identical
+function neutralizeMasked(designData, screenshotData, mask) {
+  const out = Buffer.from(designData);
+  for (let p = 0; p < mask.length; p++) {
+    if (mask[p]) screenshotData.copy(out, p * 4, p * 4, p * 4 + 4);
+  }
+  return out;
+}
+
+// Grey out ignored pixels in the diff image
+function paintMask(diffData, mask) {
+  for (let p = 0; p < mask.length; p++) {
+    if (!mask[p]) continue;
+    const i = p * 4;
+    diffData[i] = MASK_COLOR[0];
+    diffData[i + 1] = MASK_COLOR[1];
+    diffData[i + 2] = MASK_COLOR[2];
+    diffData[i + 3] = 255;
+  }
+}
+
+module.exports = {
+  parseIgnoreOptions,
+  maskSelectors,
+  designRectToCanvas,
+  buildMask,
+  countMasked,
+  neutralizeMasked,
+  paintMask
+};
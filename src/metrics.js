@@ -0,0 +1,347 @@
+const { PNG } = require('pngjs');
+const { HttpError } = require('./errors');
+const { isTruthy, parseJsonField } = require('./utils');
+const { parseCssColor, rgbToLab, deltaE2000 } = require('./color');
+const { edgeMap } = require('./align');
+const { dilate } = require('./clusters');
+
+const METRICS = ['ssim', 'ms-ssim', 'deltae', 'edges'];
+
+// pixelmatch's own defaults, except the threshold this API has always used
+const PIXELMATCH_DEFAULTS = {
+  threshold: 0.1,
+  includeAA: false,
+  alpha: 0.1,
+  diffColor: [255, 0, 0],
+  aaColor: [255, 255, 0],
+  diffColorAlt: null
+};
+
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+const DELTA_E_JND = 2.3;
+const EDGE_THRESHOLD = 48;
+
+function parseColorOption(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const rgba = Array.isArray(value) ? value : parseCssColor(String(value));
+  if (!rgba || rgba.slice(0, 3).some(v => !(v >= 0 && v <= 255))) {
+    throw new HttpError(400, `${name} must be a colour like #ff0000`);
+  }
+  return rgba.slice(0, 3).map(Math.round);
+}
+
+// Read pixelmatch options and the extra metrics to compute from a request body
+function parseDiffOptions(body = {}) {
+  const pixelmatch = { ...PIXELMATCH_DEFAULTS };
+
+  if (body.threshold !== undefined && body.threshold !== '') {
+    pixelmatch.threshold = parseFloat(body.threshold);
+    if (!(pixelmatch.threshold >= 0 && pixelmatch.threshold <= 1)) {
+      throw new HttpError(400, 'threshold must be between 0 and 1');
+    }
+  }
+  if (body.includeAA !== undefined) {
+    pixelmatch.includeAA = isTruthy(body.includeAA);
+  }
+  if (body.alpha !== undefined && body.alpha !== '') {
+    pixelmatch.alpha = parseFloat(body.alpha);
+    if (!(pixelmatch.alpha >= 0 && pixelmatch.alpha <= 1)) {
+      throw new HttpError(400, 'alpha must be between 0 and 1');
+    }
+  }
+  for (const name of ['diffColor', 'aaColor', 'diffColorAlt']) {
+    const color = parseColorOption(body[name], name);
+    if (color) pixelmatch[name] = color;
+  }
+
+  // A JSON array, or a plain comma separated list from a form field
+  let metrics = body.metrics ?? [];
+  if (typeof metrics === 'string') {
+    metrics = metrics.trim().startsWith('[') ? parseJsonField(metrics, 'metrics') : metrics.split(',');
+  }
+  if (!Array.isArray(metrics)) {
+    throw new HttpError(400, 'metrics must be a list');
+  }
+  metrics = metrics.map(m => String(m).trim().toLowerCase()).filter(Boolean);
+  const unknown = metrics.filter(m => !METRICS.includes(m));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown metrics: ${unknown.join(', ')}. Use any of: ${METRICS.join(', ')}`);
+  }
+
+  return { pixelmatch, metrics: [...new Set(metrics)] };
+}
+
+// Region analysis looks for pixelmatch's default red, so custom colours are
+// only applied to a second, purely visual diff image
+function hasCustomColors(pixelmatch) {
+  return pixelmatch.diffColorAlt ||
+    pixelmatch.diffColor.join() !== PIXELMATCH_DEFAULTS.diffColor.join() ||
+    pixelmatch.aaColor.join() !== PIXELMATCH_DEFAULTS.aaColor.join();
+}
+
+function luminance(data, width, height) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+}
+
+// Mean luminance and contrast-structure terms of SSIM over non-overlapping
+// windows. Windows that are mostly masked are skipped.
+function ssimTerms(a, b, width, height, mask) {
+  let lSum = 0;
+  let csSum = 0;
+  let ssimSum = 0;
+  let windows = 0;
+  const n = SSIM_WINDOW * SSIM_WINDOW;
+
+  for (let y0 = 0; y0 + SSIM_WINDOW <= height; y0 += SSIM_WINDOW) {
+    for (let x0 = 0; x0 + SSIM_WINDOW <= width; x0 += SSIM_WINDOW) {
+      let sa = 0;
+      let sb = 0;
+      let saa = 0;
+      let sbb = 0;
+      let sab = 0;
+      let masked = 0;
+
+      for (let y = y0; y < y0 + SSIM_WINDOW; y++) {
+        for (let p = y * width + x0, end = p + SSIM_WINDOW; p < end; p++) {
+          if (mask && mask[p]) masked++;
+          const va = a[p];
+          const vb = b[p];
+          sa += va;
+          sb += vb;
+          saa += va * va;
+          sbb += vb * vb;
+          sab += va * vb;
+        }
+      }
+      if (masked * 2 > n) continue;
+
+      const ma = sa / n;
+      const mb = sb / n;
+      const va = saa / n - ma * ma;
+      const vb = sbb / n - mb * mb;
+      const cov = sab / n - ma * mb;
+
+      const l = (2 * ma * mb + SSIM_C1) / (ma * ma + mb * mb + SSIM_C1);
+      const cs = (2 * cov + SSIM_C2) / (va + vb + SSIM_C2);
+      lSum += l;
+      csSum += cs;
+      ssimSum += l * cs;
+      windows++;
+    }
+  }
+
+  if (!windows) return { l: 1, cs: 1, ssim: 1, windows };
+  return { l: lSum / windows, cs: csSum / windows, ssim: ssimSum / windows, windows };
+}
+
+// Halve a luminance map (and its mask) with a 2x2 box filter
+function halve(map, mask, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const out = new Float32Array(w * h);
+  const outMask = mask ? new Uint8Array(w * h) : null;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const p = 2 * y * width + 2 * x;
+      out[y * w + x] = (map[p] + map[p + 1] + map[p + width] + map[p + width + 1]) / 4;
+      if (mask) outMask[y * w + x] = mask[p] | mask[p + 1] | mask[p + width] | mask[p + width + 1];
+    }
+  }
+  return { map: out, mask: outMask, width: w, height: h };
+}
+
+// Multi-scale SSIM (Wang et al. 2003) over as many of the five scales as the
+// image size allows, with the weights renormalised to the scales used
+function msSsim(a, b, width, height, mask) {
+  const scales = [];
+  let current = { a, b, mask, width, height };
+
+  for (let s = 0; s < MS_SSIM_WEIGHTS.length; s++) {
+    if (current.width < SSIM_WINDOW || current.height < SSIM_WINDOW) break;
+    scales.push(ssimTerms(current.a, current.b, current.width, current.height, current.mask));
+
+    const nextA = halve(current.a, current.mask, current.width, current.height);
+    const nextB = halve(current.b, null, current.width, current.height);
+    current = { a: nextA.map, b: nextB.map, mask: nextA.mask, width: nextA.width, height: nextA.height };
+  }
+
+  if (!scales.length) return 1;
+  const weights = MS_SSIM_WEIGHTS.slice(0, scales.length);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  let value = 1;
+  scales.forEach((terms, i) => {
+    const term = i === scales.length - 1 ? terms.l * terms.cs : terms.cs;
+    value *= Math.pow(Math.max(term, 0), weights[i] / total);
+  });
+  return value;
+}
+
+// Screenshot luminance faded towards white, as pixelmatch draws unchanged pixels
+function fadedGray(data, i) {
+  return 255 - (255 - (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])) * 0.1;
+}
+
+// Per-pixel CIEDE2000 between the two images: summary statistics plus a heat
+// map (grey where identical, yellow to red as the difference grows)
+function deltaEMap(designData, screenshotData, width, height, mask) {
+  const image = new PNG({ width, height });
+  const histogram = new Uint32Array(1001); // 0.1 ΔE buckets up to 100
+  let sum = 0;
+  let max = 0;
+  let perceptible = 0;
+  let counted = 0;
+
+  for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+    if (mask && mask[p]) {
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = 190;
+      image.data[i + 3] = 255;
+      continue;
+    }
+
+    let delta = 0;
+    if (designData[i] !== screenshotData[i] || designData[i + 1] !== screenshotData[i + 1] || designData[i + 2] !== screenshotData[i + 2]) {
+      delta = deltaE2000(
+        rgbToLab(designData[i], designData[i + 1], designData[i + 2]),
+        rgbToLab(screenshotData[i], screenshotData[i + 1], screenshotData[i + 2])
+      );
+    }
+
+    counted++;
+    sum += delta;
+    if (delta > max) max = delta;
+    if (delta > DELTA_E_JND) perceptible++;
+    histogram[Math.min(1000, Math.round(delta * 10))]++;
+
+    if (delta < 1) {
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = fadedGray(screenshotData, i);
+    } else {
+      const t = Math.min(1, (delta - 1) / 20);
+      image.data[i] = 255;
+      image.data[i + 1] = Math.round(255 * (1 - t));
+      image.data[i + 2] = 0;
+    }
+    image.data[i + 3] = 255;
+  }
+
+  let p95 = 0;
+  for (let bucket = 0, seen = 0; bucket < histogram.length; bucket++) {
+    seen += histogram[bucket];
+    if (seen >= counted * 0.95) {
+      p95 = bucket / 10;
+      break;
+    }
+  }
+
+  return {
+    metric: {
+      mean: counted ? parseFloat((sum / counted).toFixed(3)) : 0,
+      p95,
+      max: parseFloat(max.toFixed(2)),
+      perceptiblePixels: perceptible,
+      perceptiblePercentage: counted ? parseFloat((perceptible / counted * 100).toFixed(2)) : 0,
+      jnd: DELTA_E_JND
+    },
+    image: PNG.sync.write(image)
+  };
+}
+
+// Edge-only diff: edges (luminance gradient above a threshold) of one image
+// that have no edge within `tolerance` px in the other. Colour shifts that keep
+// the shapes in place do not count.
+function edgeDiff(designData, screenshotData, width, height, mask, { tolerance = 1 } = {}) {
+  const binarize = (edges) => {
+    const out = new Uint8Array(edges.length);
+    for (let p = 0; p < edges.length; p++) {
+      out[p] = edges[p] > EDGE_THRESHOLD && !(mask && mask[p]) ? 1 : 0;
+    }
+    return out;
+  };
+
+  const designEdges = binarize(edgeMap(designData, width, height));
+  const screenshotEdges = binarize(edgeMap(screenshotData, width, height));
+  const designNear = dilate(designEdges, width, height, tolerance);
+  const screenshotNear = dilate(screenshotEdges, width, height, tolerance);
+
+  const image = new PNG({ width, height });
+  let designCount = 0;
+  let screenshotCount = 0;
+  let missing = 0;
+  let extra = 0;
+
+  for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+    designCount += designEdges[p];
+    screenshotCount += screenshotEdges[p];
+
+    let color;
+    if (designEdges[p] && !screenshotNear[p]) {
+      missing++;
+      color = [255, 0, 255]; // in the design, not on the page
+    } else if (screenshotEdges[p] && !designNear[p]) {
+      extra++;
+      color = [0, 170, 255]; // on the page, not in the design
+    } else {
+      const gray = fadedGray(screenshotData, i);
+      color = [gray, gray, gray];
+    }
+    image.data[i] = color[0];
+    image.data[i + 1] = color[1];
+    image.data[i + 2] = color[2];
+    image.data[i + 3] = 255;
+  }
+
+  const edges = designCount + screenshotCount;
+  return {
+    metric: {
+      score: edges ? parseFloat(((1 - (missing + extra) / edges) * 100).toFixed(2)) : 100,
+      designEdgePixels: designCount,
+      screenshotEdgePixels: screenshotCount,
+      missingEdgePixels: missing,
+      extraEdgePixels: extra,
+      tolerance
+    },
+    image: PNG.sync.write(image)
+  };
+}
+
+// Compute the requested extra metrics on aligned RGBA buffers.
+// Returns { metrics, images } where images holds PNG buffers by name.
+function computeMetrics(designData, screenshotData, width, height, mask, requested = []) {
+  const metrics = {};
+  const images = {};
+
+  if (requested.includes('ssim') || requested.includes('ms-ssim')) {
+    const a = luminance(designData, width, height);
+    const b = luminance(screenshotData, width, height);
+    if (requested.includes('ssim')) {
+      metrics.ssim = parseFloat(ssimTerms(a, b, width, height, mask).ssim.toFixed(4));
+    }
+    if (requested.includes('ms-ssim')) {
+      metrics.msSsim = parseFloat(msSsim(a, b, width, height, mask).toFixed(4));
+    }
+  }
+
+  if (requested.includes('deltae')) {
+    const { metric, image } = deltaEMap(designData, screenshotData, width, height, mask);
+    metrics.deltaE = metric;
+    images.deltaE = image;
+  }
+
+  if (requested.includes('edges')) {
+    const { metric, image } = edgeDiff(designData, screenshotData, width, height, mask);
+    metrics.edges = metric;
+    images.edges = image;
+  }
+
+  return { metrics, images };
+}
+
+module.exports = { parseDiffOptions, hasCustomColors, computeMetrics, PIXELMATCH_DEFAULTS, METRICS };
@@ -0,0 +1,230 @@
+const { HttpError } = require('./errors');
+const { parseJsonField } = require('./utils');
+
+const MAX_RULES = 100;
+const MAX_FIXTURE_BYTES = 5 * 1024 * 1024;
+const MAX_LOGGED_REQUESTS = 200;
+// Deterministic captures all see the same clock unless the request sets one
+const DEFAULT_NOW = Date.parse('2024-01-01T12:00:00Z');
+const DEFAULT_SEED = 1;
+
+// Animations and transitions jump to their end state; carets are not drawn
+const DETERMINISTIC_CSS = `*, *::before, *::after {
+  animation-duration: 0s !important;
+  animation-delay: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition-duration: 0s !important;
+  transition-delay: 0s !important;
+  caret-color: transparent !important;
+  scroll-behavior: auto !important;
+}`;
+
+// "*" is a wildcard over the whole URL; patterns without one match anywhere in it
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return pattern.includes('*') ? new RegExp(`^${escaped.join('.*')}$`) : new RegExp(escaped[0]);
+}
+
+// A JSON array or a comma separated string
+function toList(value, name) {
+  if (value === undefined || value === '') return [];
+  const list = typeof value === 'string' && !value.trim().startsWith('[') ? value.split(',') : parseJsonField(value, name);
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+    throw new HttpError(400, `${name} must be a list of URL patterns`);
+  }
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+function parseRule(rule, index) {
+  const name = `networkRules[${index}]`;
+  if (!rule || typeof rule !== 'object' || typeof rule.url !== 'string' || !rule.url) {
+    throw new HttpError(400, `${name} needs a url pattern`);
+  }
+  if (!['block', 'mock'].includes(rule.action)) {
+    throw new HttpError(400, `${name}.action must be block or mock`);
+  }
+
+  const parsed = {
+    url: rule.url,
+    pattern: patternToRegExp(rule.url),
+    action: rule.action,
+    method: rule.method ? String(rule.method).toUpperCase() : undefined
+  };
+  if (rule.action === 'block') return parsed;
+
+  const status = rule.status === undefined ? 200 : Number(rule.status);
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw new HttpError(400, `${name}.status must be an HTTP status code`);
+  }
+  if (rule.headers !== undefined && (typeof rule.headers !== 'object' || Array.isArray(rule.headers) ||
+      Object.values(rule.headers).some(value => typeof value !== 'string'))) {
+    throw new HttpError(400, `${name}.headers must be an object of header names to strings`);
+  }
+
+  // Objects and arrays are served as JSON; base64 bodies are decoded first
+  const json = rule.body !== undefined && typeof rule.body !== 'string';
+  const body = json
+    ? Buffer.from(JSON.stringify(rule.body))
+    : Buffer.from(rule.body || '', rule.base64 ? 'base64' : 'utf8');
+
+  return {
+    ...parsed,
+    status,
+    contentType: rule.contentType || (json ? 'application/json' : 'text/plain'),
+    headers: rule.headers || {},
+    body
+  };
+}
+
+// deterministic=true, or { now, seed } to pick the frozen time (ISO date or
+// milliseconds) and the Math.random seed
+function parseDeterministic(value) {
+  if (value === undefined || value === '' || value === false || value === 'false') return null;
+  if (value === true || value === 'true') return { now: DEFAULT_NOW, seed: DEFAULT_SEED };
+
+  const options = parseJsonField(value, 'deterministic');
+  if (options === true) return { now: DEFAULT_NOW, seed: DEFAULT_SEED };
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new HttpError(400, 'deterministic must be true or an object with now and seed');
+  }
+
+  const now = options.now === undefined ? DEFAULT_NOW : typeof options.now === 'number' ? options.now : Date.parse(options.now);
+  if (!Number.isFinite(now)) {
+    throw new HttpError(400, 'deterministic.now must be a date or a timestamp in milliseconds');
+  }
+  const seed = options.seed === undefined ? DEFAULT_SEED : Number(options.seed);
+  if (!Number.isInteger(seed)) {
+    throw new HttpError(400, 'deterministic.seed must be an integer');
+  }
+  return { now, seed };
+}
+
+// networkRules (a JSON array of { url, action: 'block' } or { url, action:
+// 'mock', method?, status?, contentType?, headers?, body?, base64? }), block (URL
+// patterns, shorthand for block rules) and deterministic; null when none are
+// given. The first matching rule wins.
+function parseNetworkOptions(body = {}) {
+  const rules = parseJsonField(body.networkRules, 'networkRules') || [];
+  if (!Array.isArray(rules)) {
+    throw new HttpError(400, 'networkRules must be an array of rules');
+  }
+
+  const parsed = [
+    ...rules.map(parseRule),
+    ...toList(body.block, 'block').map((url, index) => parseRule({ url, action: 'block' }, rules.length + index))
+  ];
+  if (parsed.length > MAX_RULES) {
+    throw new HttpError(400, `At most ${MAX_RULES} network rules`);
+  }
+  if (parsed.reduce((total, rule) => total + (rule.body?.length || 0), 0) > MAX_FIXTURE_BYTES) {
+    throw new HttpError(400, `Mock bodies may add up to ${MAX_FIXTURE_BYTES / 1024 / 1024}MB`);
+  }
+
+  const deterministic = parseDeterministic(body.deterministic);
+  return parsed.length || deterministic ? { rules: parsed, deterministic } : null;
+}
+
+// Cross-origin fetches of a mocked API still need CORS to read the answer
+function corsHeaders(request) {
+  const origin = request.headers().origin;
+  return origin
+    ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Credentials': 'true' }
+    : { 'Access-Control-Allow-Origin': '*' };
+}
+
+// The URL policy guard's intercept hook for network's rules. Blocked and
+// mocked requests are recorded in log ({ blocked, mocked }, at most
+// MAX_LOGGED_REQUESTS each).
+function interceptFor(network, log = { blocked: [], mocked: [] }) {
+  if (!network?.rules.length) return undefined;
+
+  return (request) => {
+    const url = request.url();
+    const method = request.method();
+    const rule = network.rules.find(candidate =>
+      candidate.pattern.test(url) && (!candidate.method || candidate.method === method || method === 'OPTIONS'));
+    if (!rule) return null;
+
+    const entry = { url, rule: rule.url, resourceType: request.resourceType() };
+    if (rule.action === 'block') {
+      if (log.blocked.length < MAX_LOGGED_REQUESTS) log.blocked.push(entry);
+      return { abort: true };
+    }
+
+    // Answer CORS preflights for the mocked request instead of serving the fixture to them
+    if (method === 'OPTIONS' && request.headers()['access-control-request-method']) {
+      return {
+        respond: {
+          status: 204,
+          headers: { ...corsHeaders(request), 'Access-Control-Allow-Methods': '*', 'Access-Control-Allow-Headers': '*' }
+        }
+      };
+    }
+
+    if (log.mocked.length < MAX_LOGGED_REQUESTS) log.mocked.push({ ...entry, status: rule.status });
+    return {
+      respond: {
+        status: rule.status,
+        contentType: rule.contentType,
+        headers: { ...corsHeaders(request), ...rule.headers },
+        body: rule.body
+      }
+    };
+  };
+}
+
+// Freeze Date at now, seed Math.random, and inject DETERMINISTIC_CSS into
+// every document before its scripts run. Must be called before navigating.
+async function applyDeterministic(page, { now, seed }) {
+  await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+  await page.evaluateOnNewDocument((now, seed, css) => {
+    const NativeDate = Date;
+    function FrozenDate(...args) {
+      if (!new.target) return new NativeDate(now).toString();
+      return new NativeDate(...(args.length ? args : [now]));
+    }
+    FrozenDate.prototype = NativeDate.prototype;
+    FrozenDate.now = () => now;
+    FrozenDate.parse = NativeDate.parse;
+    FrozenDate.UTC = NativeDate.UTC;
+    window.Date = FrozenDate;
+
+    // mulberry32
+    let state = seed >>> 0;
+    Math.random = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const inject = () => {
+      const style = document.createElement('style');
+      style.setAttribute('data-perfect-pixel-deterministic', '');
+      style.textContent = css;
+      (document.head || document.documentElement).appendChild(style);
+    };
+    if (document.documentElement) {
+      inject();
+    } else {
+      document.addEventListener('DOMContentLoaded', inject, { once: true });
+    }
+  }, now, seed, DETERMINISTIC_CSS);
+}
+
+// Animations started from script (element.animate) are not covered by the
+// stylesheet: finish the finite ones and cancel the rest before capturing
+async function settleAnimations(page) {
+  await page.evaluate(() => {
+    for (const animation of document.getAnimations()) {
+      try {
+        animation.finish();
+      } catch (error) {
+        animation.cancel();
+      }
+    }
+  });
+}
+
+module.exports = { parseNetworkOptions, interceptFor, applyDeterministic, settleAnimations };
@@ -0,0 +1,50 @@
+const { parseAlignOptions } = require('./align');
+const { parseDiffOptions } = require('./metrics');
+const { parseIgnoreOptions } = require('./masking');
+const { parseSteps } = require('./steps');
+const { parseCaptureOptions } = require('./fullPage');
+const { parseClipOptions } = require('./clip');
+const { parseSessionOptions } = require('./session');
+const { parseNetworkOptions } = require('./network');
+const { isTruthy } = require('./utils');
+
+// Capture options shared by every endpoint that compares a live page.
+// project scopes stored login recipes and cached sessions.
+function parseCompareOptions(body, { project } = {}) {
+  const { url, username, password, width, height, clusterRadius, minClusterPixels } = body;
+
+  const viewportWidth = Math.min(parseInt(width) || 1920, 3840);
+  const viewportHeight = Math.min(parseInt(height) || 1080, 15000); // Max 15000px to prevent memory issues
+
+  // Component captures compare the design at its natural size, centred in
+  // the (possibly padded) crop, unless the request says otherwise
+  const clip = parseClipOptions(body);
+  const align = parseAlignOptions(body);
+  if (clip && !body.fit) align.fit = 'none';
+  if (clip && !body.anchor) align.anchor = 'center';
+
+  return {
+    url,
+    project,
+    username,
+    password,
+    session: parseSessionOptions(body, { project }),
+    viewportWidth,
+    viewportHeight,
+    capture: parseCaptureOptions(body),
+    network: parseNetworkOptions(body),
+    clip,
+    align,
+    clusters: {
+      radius: Math.max(0, Math.min(parseInt(clusterRadius) || 4, 50)),
+      minPixels: Math.max(1, parseInt(minClusterPixels) || 4)
+    },
+    diff: parseDiffOptions(body),
+    ignore: parseIgnoreOptions(body),
+    steps: parseSteps(body.steps),
+    elementReport: body.elementReport === undefined || isTruthy(body.elementReport),
+    textReport: isTruthy(body.textReport)
+  };
+}
+
+module.exports = { parseCompareOptions };
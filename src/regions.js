@@ -0,0 +1,66 @@
+// Check if pixel is red (difference marker in pixelmatch)
+function isDiffPixel(diffData, idx) {
+  return diffData[idx] > 200 && diffData[idx + 1] < 100 && diffData[idx + 2] < 100;
+}
+
+// Analyze regions of difference; pixels set in mask are left out entirely
+function analyzeRegions(diffData, width, height, mask = null) {
+  const gridSize = 4; // Divide into 4x4 grid
+  const cellWidth = Math.floor(width / gridSize);
+  const cellHeight = Math.floor(height / gridSize);
+  const regions = [];
+
+  for (let gy = 0; gy < gridSize; gy++) {
+    for (let gx = 0; gx < gridSize; gx++) {
+      let diffCount = 0;
+      const startX = gx * cellWidth;
+      const startY = gy * cellHeight;
+      const endX = Math.min(startX + cellWidth, width);
+      const endY = Math.min(startY + cellHeight, height);
+      let cellPixels = (endX - startX) * (endY - startY);
+
+      for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+          if (mask && mask[y * width + x]) {
+            cellPixels--;
+            continue;
+          }
+          const idx = (y * width + x) * 4;
+          if (isDiffPixel(diffData, idx)) {
+            diffCount++;
+          }
+        }
+      }
+
+      const diffPercent = (cellPixels ? diffCount / cellPixels * 100 : 0).toFixed(1);
+
+      regions.push({
+        position: getRegionName(gx, gy),
+        x: startX,
+        y: startY,
+        width: endX - startX,
+        height: endY - startY,
+        diffPixels: diffCount,
+        diffPercent: parseFloat(diffPercent),
+        severity: getSeverity(diffPercent)
+      });
+    }
+  }
+
+  return regions.sort((a, b) => b.diffPercent - a.diffPercent);
+}
+
+function getRegionName(gx, gy) {
+  const vertical = ['Top', 'Upper-middle', 'Lower-middle', 'Bottom'][gy];
+  const horizontal = ['Left', 'Center-left', 'Center-right', 'Right'][gx];
+  return `${vertical} ${horizontal}`;
+}
+
+function getSeverity(diffPercent) {
+  if (diffPercent < 1) return 'none';
+  if (diffPercent < 5) return 'low';
+  if (diffPercent < 15) return 'medium';
+  return 'high';
+}
+
+module.exports = { analyzeRegions, getRegionName, getSeverity, isDiffPixel };
@@ -0,0 +1,303 @@
+// Self-contained HTML reports. Images travel as data URIs inside the page, so
+// the file can be saved and attached to a ticket as is. Large batch reports
+// link their later items to the server instead.
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON that is safe to drop into a <script> element
+function embedJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1d2433; background: #f4f5f7; }
+  header { padding: 16px 24px; background: #1d2433; color: #fff; }
+  header h1 { margin: 0; font-size: 18px; }
+  header p { margin: 4px 0 0; color: #b8c0d0; }
+  main { padding: 24px; max-width: 1480px; margin: 0 auto; }
+  section.item { background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.08); margin-bottom: 24px; padding: 16px; }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  h3 { font-size: 13px; text-transform: uppercase; letter-spacing: .04em; color: #5c667a; margin: 16px 0 8px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eceef2; vertical-align: top; }
+  th { color: #5c667a; font-weight: 500; width: 40%; }
+  .layout { display: grid; grid-template-columns: minmax(0, 1fr) 320px; gap: 16px; }
+  .toolbar { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-bottom: 8px; }
+  .toolbar button { border: 1px solid #c9ceda; background: #fff; border-radius: 4px; padding: 4px 10px; cursor: pointer; }
+  .toolbar button.active { background: #1d2433; color: #fff; border-color: #1d2433; }
+  .toolbar label { display: flex; gap: 6px; align-items: center; margin-left: 8px; }
+  .stage { position: relative; overflow: hidden; height: 70vh; background: repeating-conic-gradient(#eceef2 0% 25%, #fff 0% 50%) 0 0 / 16px 16px; border: 1px solid #dfe2e8; }
+  .canvas { position: absolute; top: 0; left: 0; transform-origin: 0 0; transition: transform .25s ease; }
+  .canvas img { position: absolute; top: 0; left: 0; display: block; max-width: none; user-select: none; -webkit-user-drag: none; }
+  .canvas .clip { position: absolute; top: 0; left: 0; height: 100%; overflow: hidden; border-right: 2px solid #ff3d71; }
+  .canvas .side { position: absolute; top: 0; }
+  .canvas .caption { position: absolute; top: -1.6em; font-size: 12px; color: #5c667a; }
+  .highlight { position: absolute; border: 3px solid #ff3d71; box-shadow: 0 0 0 9999px rgba(29,36,51,.35); pointer-events: none; }
+  .list { max-height: 70vh; overflow: auto; }
+  .list li { list-style: none; padding: 6px 8px; border-radius: 4px; cursor: pointer; border-bottom: 1px solid #eceef2; }
+  .list li:hover { background: #eef3ff; }
+  .list ul { padding: 0; margin: 0; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 8px; font-size: 11px; background: #eceef2; margin-right: 4px; }
+  .badge.high, .badge.missing { background: #ffd9df; }
+  .badge.medium, .badge.changed, .badge.shift { background: #ffefc7; }
+  .badge.low, .badge.extra, .badge.color-only { background: #d8f3e4; }
+  .pass { color: #14804a; } .fail { color: #c62828; }
+  a { color: #2f5bea; }
+`;
+
+// Client side viewer: one per .viewer element, configured from its JSON blob
+const SCRIPT = `
+document.querySelectorAll('.viewer').forEach(function (viewer) {
+  var data = JSON.parse(viewer.querySelector('script[type="application/json"]').textContent);
+  var stage = viewer.querySelector('.stage');
+  var canvas = viewer.querySelector('.canvas');
+  var slider = viewer.querySelector('input[type=range]');
+  var diffOnly = viewer.querySelector('input.diff-only');
+  var width = data.width, height = data.height;
+  var mode = 'side', zoom = null;
+
+  function img(src) { var el = new Image(); el.src = src; el.width = width; el.height = height; return el; }
+
+  function fitScale() {
+    var columns = mode === 'side' && !diffOnly.checked ? 2 : 1;
+    return Math.min(stage.clientWidth / (width * columns + (columns - 1) * 16), 1);
+  }
+
+  function render() {
+    canvas.innerHTML = '';
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    slider.disabled = mode !== 'onion' && mode !== 'swipe';
+
+    if (diffOnly.checked) {
+      canvas.appendChild(img(data.images.diff));
+    } else if (mode === 'side') {
+      [['Design', data.images.design], ['Page', data.images.screenshot]].forEach(function (pair, i) {
+        var wrap = document.createElement('div');
+        wrap.className = 'side';
+        wrap.style.left = i * (width + 16) + 'px';
+        wrap.appendChild(img(pair[1]));
+        canvas.appendChild(wrap);
+      });
+    } else if (mode === 'onion') {
+      canvas.appendChild(img(data.images.design));
+      var top = img(data.images.screenshot);
+      top.style.opacity = slider.value / 100;
+      canvas.appendChild(top);
+    } else if (mode === 'swipe') {
+      canvas.appendChild(img(data.images.design));
+      var clip = document.createElement('div');
+      clip.className = 'clip';
+      clip.style.width = slider.value / 100 * width + 'px';
+      clip.appendChild(img(data.images.screenshot));
+      canvas.appendChild(clip);
+    } else {
+      canvas.appendChild(img(data.images[mode]));
+    }
+
+    if (zoom) {
+      var mark = document.createElement('div');
+      mark.className = 'highlight';
+      mark.style.left = zoom.x + 'px';
+      mark.style.top = zoom.y + 'px';
+      mark.style.width = zoom.width + 'px';
+      mark.style.height = zoom.height + 'px';
+      canvas.appendChild(mark);
+    }
+    place();
+  }
+
+  function place() {
+    if (!zoom) {
+      canvas.style.transform = 'scale(' + fitScale() + ')';
+      return;
+    }
+    var pad = 40;
+    var scale = Math.min(8, (stage.clientWidth - pad * 2) / Math.max(zoom.width, 1), (stage.clientHeight - pad * 2) / Math.max(zoom.height, 1));
+    var x = stage.clientWidth / 2 - (zoom.x + zoom.width / 2) * scale;
+    var y = stage.clientHeight / 2 - (zoom.y + zoom.height / 2) * scale;
+    canvas.style.transform = 'translate(' + x + 'px,' + y + 'px) scale(' + scale + ')';
+  }
+
+  viewer.querySelectorAll('button[data-mode]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      mode = button.dataset.mode;
+      viewer.querySelectorAll('button[data-mode]').forEach(function (b) { b.classList.toggle('active', b === button); });
+      if (mode === 'side' && !diffOnly.checked) zoom = null;
+      render();
+    });
+  });
+  viewer.querySelector('button.reset').addEventListener('click', function () { zoom = null; render(); });
+  slider.addEventListener('input', render);
+  diffOnly.addEventListener('change', render);
+  viewer.querySelectorAll('[data-box]').forEach(function (item) {
+    item.addEventListener('click', function () {
+      zoom = JSON.parse(item.dataset.box);
+      // Side by side has no single frame to zoom into
+      if (mode === 'side' && !diffOnly.checked) {
+        mode = 'onion';
+        viewer.querySelectorAll('button[data-mode]').forEach(function (b) { b.classList.toggle('active', b.dataset.mode === mode); });
+      }
+      render();
+    });
+  });
+  window.addEventListener('resize', place);
+  render();
+});
+`;
+
+function statsRows(result) {
+  const { stats = {}, metrics = {}, alignment } = result;
+  const rows = [
+    ['Match', `${stats.matchPercentage}%`],
+    ['Mismatched pixels', `${stats.mismatchedPixels} of ${stats.totalPixels}`],
+    ['Compared at', stats.viewport ? `${stats.viewport.width}×${stats.viewport.height}${stats.isFullPage ? ' (full page)' : ''}` : ''],
+    ['Clusters', stats.clusterCount]
+  ];
+  if (stats.maskedPixels) rows.push(['Ignored pixels', `${stats.maskedPixels} (${stats.maskedPercentage}%)`]);
+  if (metrics.pixelmatch) rows.push(['pixelmatch threshold', `${metrics.pixelmatch.threshold}${metrics.pixelmatch.includeAA ? ', AA counted' : ''}`]);
+  if (metrics.ssim !== undefined) rows.push(['SSIM', metrics.ssim]);
+  if (metrics.msSsim !== undefined) rows.push(['MS-SSIM', metrics.msSsim]);
+  if (metrics.deltaE) rows.push(['ΔE2000 mean / p95 / max', `${metrics.deltaE.mean} / ${metrics.deltaE.p95} / ${metrics.deltaE.max}`]);
+  if (metrics.edges) rows.push(['Edge score', `${metrics.edges.score}%`]);
+  if (result.text) rows.push(['Text', `${result.text.matched} matched, ${result.text.changed} changed, ${result.text.missing} missing, ${result.text.extra} extra`]);
+  if (alignment) rows.push(['Alignment', `fit ${alignment.fit}, anchor ${alignment.anchor}, dpr ${alignment.dpr}`]);
+  if (result.capture) rows.push(['Page', `<a href="${escapeHtml(result.capture.url)}">${escapeHtml(result.capture.url)}</a>`]);
+  if (result.timestamp) rows.push(['Captured', new Date(result.timestamp).toISOString()]);
+
+  return rows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${label === 'Page' ? value : escapeHtml(value)}</td></tr>`)
+    .join('');
+}
+
+function listItem(box, badge, label, detail) {
+  return `<li data-box="${escapeHtml(JSON.stringify({ x: box.x, y: box.y, width: box.width, height: box.height }))}">` +
+    `<span class="badge ${escapeHtml(badge)}">${escapeHtml(badge)}</span>${escapeHtml(label)}` +
+    (detail ? `<br><small>${escapeHtml(detail)}</small>` : '') + '</li>';
+}
+
+// Viewer, stats and clickable lists for one stored result whose images are
+// inline data URIs (resultStore.present with inline=true)
+function renderResultSection(result, { title } = {}) {
+  const images = {
+    design: result.designImage,
+    screenshot: result.screenshotImage,
+    diff: result.diffImage,
+    overlay: result.overlayImage,
+    deltaE: result.deltaEImage,
+    edges: result.edgesImage
+  };
+  const viewport = result.stats?.viewport || { width: 0, height: 0 };
+
+  const modes = [['side', 'Side by side'], ['onion', 'Onion skin'], ['swipe', 'Swipe'], ['diff', 'Diff']];
+  if (images.overlay) modes.push(['overlay', 'Clusters']);
+  if (images.deltaE) modes.push(['deltaE', 'ΔE map']);
+  if (images.edges) modes.push(['edges', 'Edges']);
+
+  const clusters = (result.clusters || [])
+    .map(c => listItem(c, c.category, `Cluster ${c.id} at ${c.x},${c.y}`, `${c.width}×${c.height}, ${c.pixels} px`));
+  const regions = (result.regions || [])
+    .filter(r => r.diffPixels > 0)
+    .map(r => listItem(r, r.severity, r.position, `${r.diffPercent}% different`));
+  const elements = (result.elements?.offenders || [])
+    .map(e => listItem(e.box, e.severity, e.selector, `${e.diffPixels} px${e.text ? ` — ${e.text}` : ''}`));
+  const texts = (result.text?.items || [])
+    .filter(item => item.box)
+    .map(item => listItem(item.box, item.status, item.status === 'extra' ? item.actual : item.expected,
+      item.status === 'changed' ? `now: ${item.actual}` : ''));
+
+  const list = (heading, items) => (items.length ? `<h3>${heading}</h3><ul>${items.join('')}</ul>` : '');
+
+  return `
+  <section class="item viewer" id="result-${escapeHtml(result.id)}">
+    <script type="application/json">${embedJson({ width: viewport.width, height: viewport.height, images })}</script>
+    <h2>${escapeHtml(title || result.capture?.url || result.id)}</h2>
+    <div class="layout">
+      <div>
+        <div class="toolbar">
+          ${modes.map(([mode, label], i) => `<button type="button" data-mode="${mode}"${i ? '' : ' class="active"'}>${label}</button>`).join('')}
+          <label><input type="range" min="0" max="100" value="50"> opacity / swipe</label>
+          <label><input type="checkbox" class="diff-only"> Diff only</label>
+          <button type="button" class="reset">Reset zoom</button>
+        </div>
+        <div class="stage"><div class="canvas"></div></div>
+      </div>
+      <div class="list">
+        <table>${statsRows(result)}</table>
+        ${list('Clusters', clusters)}
+        ${list('Regions', regions)}
+        ${list('Elements', elements)}
+        ${list('Text', texts)}
+      </div>
+    </div>
+  </section>`;
+}
+
+function page(title, subtitle, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1><p>${escapeHtml(subtitle)}</p></header>
+<main>${body}</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderResultReport(result) {
+  return page(
+    `Perfect Pixel report — ${result.stats?.matchPercentage}% match`,
+    `${result.capture?.url || ''} · result ${result.id}`,
+    renderResultSection(result)
+  );
+}
+
+// Viewers inline every image as a data URI, so a large batch embeds only
+// its first items and links the rest to their own reports
+const MAX_EMBEDDED_RESULTS = 20;
+
+// Summary table followed by one viewer per item; `results` maps result ids
+// to presented results. Items without one link to their own report under
+// baseUrl when they have a result, and are listed plainly otherwise.
+function renderBatchReport(batch, results, { baseUrl = '' } = {}) {
+  const rows = batch.items.map((item) => {
+    const match = item.stats ? `${item.stats.matchPercentage}%` : '—';
+    let link = escapeHtml(item.name);
+    if (item.resultId && results[item.resultId]) {
+      link = `<a href="#result-${escapeHtml(item.resultId)}">${escapeHtml(item.name)}</a>`;
+    } else if (item.resultId) {
+      link = `<a href="${escapeHtml(`${baseUrl}/api/result/${item.resultId}/report.html`)}">${escapeHtml(item.name)}</a> ↗`;
+    }
+    return `<tr><td>${link}</td><td>${escapeHtml(match)}</td><td>${item.error ? `<span class="fail">${escapeHtml(item.error)}</span>` : escapeHtml(item.stats?.clusterCount ?? '')}</td></tr>`;
+  }).join('');
+
+  const { summary = {} } = batch;
+  const embedded = batch.items.filter(item => item.resultId && results[item.resultId]);
+  const linked = batch.items.filter(item => item.resultId && !results[item.resultId]).length;
+  const sections = embedded
+    .map(item => renderResultSection(results[item.resultId], { title: item.name }))
+    .join('');
+  const note = linked ? `<p>${linked} more results are linked (↗) rather than shown here.</p>` : '';
+
+  return page(
+    `Perfect Pixel batch report — ${summary.succeeded}/${summary.total} compared`,
+    `${batch.url || ''} · batch ${batch.id} · average match ${summary.averageMatchPercentage ?? '—'}%`,
+    `<section class="item"><h2>Summary</h2><table><tr><th>Item</th><th>Match</th><th>Clusters / error</th></tr>${rows}</table>${note}</section>${sections}`
+  );
+}
+
+module.exports = { renderResultReport, renderBatchReport, MAX_EMBEDDED_RESULTS };
@@ -0,0 +1,111 @@
+const { storage } = require('./storage');
+
+const IMAGE_NAMES = ['design', 'screenshot', 'diff', 'overlay', 'deltaE', 'edges'];
+const ID_PATTERN = /^[a-z0-9]+$/;
+
+// Comparison results, persisted as results/<id>/result.json plus one PNG per
+// image, and batch records as batches/<id>/batch.json. Metadata never carries
+// image bytes; images are inlined as data URIs or linked by URL only when a
+// result is presented to a client.
+class ResultStore {
+  constructor(storage, { retention = 24 * 60 * 60 * 1000 } = {}) {
+    this.storage = storage;
+    this.retention = retention;
+  }
+
+  // Persist a result whose `images` holds PNG buffers; returns the metadata
+  async save(result) {
+    const { images = {}, ...meta } = result;
+    const names = IMAGE_NAMES.filter(name => images[name]);
+
+    for (const name of names) {
+      await this.storage.put(`results/${result.id}/${name}.png`, images[name], 'image/png');
+    }
+
+    const stored = { ...meta, images: names };
+    await this.storage.put(`results/${result.id}/result.json`, Buffer.from(JSON.stringify(stored)), 'application/json');
+    return stored;
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    const body = await this.storage.get(`results/${id}/result.json`);
+    if (!body) return null;
+
+    const result = JSON.parse(body.toString('utf8'));
+    if (Date.now() - result.timestamp > this.retention) return null;
+    return result;
+  }
+
+  // Batch records only link to results, so they are plain JSON
+  async saveBatch(batch) {
+    await this.storage.put(`batches/${batch.id}/batch.json`, Buffer.from(JSON.stringify(batch)), 'application/json');
+    return batch;
+  }
+
+  async getBatch(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    const body = await this.storage.get(`batches/${id}/batch.json`);
+    if (!body) return null;
+
+    const batch = JSON.parse(body.toString('utf8'));
+    if (Date.now() - batch.timestamp > this.retention) return null;
+    return batch;
+  }
+
+  async getImage(id, name) {
+    if (!ID_PATTERN.test(id) || !IMAGE_NAMES.includes(name)) return null;
+    return this.storage.get(`results/${id}/${name}.png`);
+  }
+
+  // Client-facing payload: `designImage`, `diffImage` etc. as inline data URIs
+  // (the historical format) or, with inline=false, as URLs to the image routes
+  async present(result, { inline = true } = {}) {
+    const { images = [], ...payload } = result;
+
+    for (const name of images) {
+      const field = `${name}Image`;
+      if (inline) {
+        const buffer = await this.getImage(result.id, name);
+        payload[field] = buffer ? `data:image/png;base64,${buffer.toString('base64')}` : null;
+      } else {
+        payload[field] = `/api/result/${result.id}/${name}.png`;
+      }
+    }
+
+    return payload;
+  }
+
+  // Delete results and batches older than the retention period
+  async purge() {
+    const cutoff = Date.now() - this.retention;
+    let purged = 0;
+
+    for (const [prefix, marker] of [['results/', '/result.json'], ['batches/', '/batch.json']]) {
+      const objects = await this.storage.list(prefix);
+      const expired = new Set(
+        objects
+          .filter(object => object.key.endsWith(marker) && object.lastModified && object.lastModified.getTime() < cutoff)
+          .map(object => object.key.split('/')[1])
+      );
+
+      for (const object of objects) {
+        if (expired.has(object.key.split('/')[1])) {
+          await this.storage.delete(object.key);
+        }
+      }
+      purged += expired.size;
+    }
+
+    if (purged) {
+      console.log(`[Results] Purged ${purged} expired results and batches`);
+    }
+    return purged;
+  }
+}
+
+const resultStore = new ResultStore(storage, {
+  retention: (parseInt(process.env.RESULT_RETENTION_MINUTES) || 24 * 60) * 60 * 1000
+});
+
+module.exports = { ResultStore, resultStore, IMAGE_NAMES };
@@ -0,0 +1,457 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { urlPolicy } = require('./urlPolicy');
+const { HttpError, CancelledError } = require('./errors');
+const { parseJsonField } = require('./utils');
+
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_SECONDS) || 1800;
+const MAX_SESSION_TTL = 24 * 60 * 60;
+const MAX_CACHED_SESSIONS = 500;
+const MAX_HEADERS = 50;
+const MAX_LOGIN_FIELDS = 20;
+const MAX_PROJECT_LOGINS = 20;
+const LOGIN_TIMEOUT = 30000;
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const LOGIN_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseHttpUrl(value, name) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new HttpError(400, `${name} must be an absolute URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new HttpError(400, `${name} must be an http(s) URL`);
+  }
+  return url.href;
+}
+
+function parseHeaders(value) {
+  const headers = parseJsonField(value, 'headers');
+  if (headers === undefined) return null;
+  if (!isPlainObject(headers) || Object.keys(headers).length > MAX_HEADERS) {
+    throw new HttpError(400, `headers must be an object of at most ${MAX_HEADERS} header names to values`);
+  }
+  for (const [name, headerValue] of Object.entries(headers)) {
+    if (!HEADER_NAME.test(name) || typeof headerValue !== 'string' || /[\r\n]/.test(headerValue)) {
+      throw new HttpError(400, `headers.${name} must be a valid header name with a single-line string value`);
+    }
+  }
+  return headers;
+}
+
+// [{ name, value, url? | domain?, path?, expires?, httpOnly?, secure?, sameSite? }];
+// cookies without url or domain belong to the target URL
+function parseCookies(value) {
+  const cookies = parseJsonField(value, 'cookies');
+  if (cookies === undefined) return [];
+  if (!Array.isArray(cookies) || cookies.some(cookie => !isPlainObject(cookie) || !cookie.name || cookie.value === undefined)) {
+    throw new HttpError(400, 'cookies must be an array of { name, value } objects');
+  }
+  return cookies.map(cookie => ({
+    ...pickCookie(cookie),
+    value: String(cookie.value),
+    url: cookie.url && !cookie.domain ? parseHttpUrl(cookie.url, 'cookies[].url') : undefined
+  }));
+}
+
+// { key: value } seeds; non-string values are stored as JSON
+function parseStorage(value, name) {
+  const seeds = parseJsonField(value, name);
+  if (seeds === undefined) return null;
+  if (!isPlainObject(seeds)) {
+    throw new HttpError(400, `${name} must be an object of keys to values`);
+  }
+  return Object.fromEntries(Object.entries(seeds).map(([key, item]) => [key, typeof item === 'string' ? item : JSON.stringify(item)]));
+}
+
+function parseSeconds(value, name, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > max) {
+    throw new HttpError(400, `${name} must be a whole number of seconds between 0 and ${max}`);
+  }
+  return seconds;
+}
+
+// A login recipe: open url, fill each of fields ({ selector, value }), click
+// submit (or press Enter) and wait for success, which may ask for a URL
+// containing `url`, a `selector` on the page and/or a `cookie` being set.
+// Without success the login counts once the browser has left `url`.
+// The session it yields is reused for ttl seconds.
+function parseLoginRecipe(value) {
+  const recipe = parseJsonField(value, 'login');
+  if (!isPlainObject(recipe)) {
+    throw new HttpError(400, 'login must be a recipe object or the name of a stored one');
+  }
+
+  const fields = recipe.fields || [];
+  if (!Array.isArray(fields) || !fields.length || fields.length > MAX_LOGIN_FIELDS ||
+      fields.some(field => !isPlainObject(field) || typeof field.selector !== 'string' || field.value === undefined)) {
+    throw new HttpError(400, `login.fields must be 1 to ${MAX_LOGIN_FIELDS} { selector, value } entries`);
+  }
+
+  const success = recipe.success || {};
+  if (!isPlainObject(success) || Object.keys(success).some(key => !['url', 'selector', 'cookie'].includes(key))) {
+    throw new HttpError(400, 'login.success may only set url, selector and cookie');
+  }
+
+  if (recipe.submit !== undefined && typeof recipe.submit !== 'string') {
+    throw new HttpError(400, 'login.submit must be a selector');
+  }
+
+  return {
+    url: parseHttpUrl(recipe.url, 'login.url'),
+    fields: fields.map(field => ({ selector: field.selector, value: String(field.value) })),
+    submit: recipe.submit || undefined,
+    success: {
+      url: success.url ? String(success.url) : undefined,
+      selector: success.selector ? String(success.selector) : undefined,
+      cookie: success.cookie ? String(success.cookie) : undefined
+    },
+    timeout: Math.min(Math.max(parseInt(recipe.timeout) || LOGIN_TIMEOUT, 1000), 120000),
+    ttl: parseSeconds(recipe.ttl, 'login.ttl', SESSION_TTL, MAX_SESSION_TTL)
+  };
+}
+
+// headers, cookies, localStorage, sessionStorage and login from a request
+// body, or null when none are given. `login` is an inline recipe or the name
+// of one stored for the project; logins are cached per project.
+function parseSessionOptions(body = {}, { project } = {}) {
+  const session = {
+    project,
+    headers: parseHeaders(body.headers),
+    cookies: parseCookies(body.cookies),
+    localStorage: parseStorage(body.localStorage, 'localStorage'),
+    sessionStorage: parseStorage(body.sessionStorage, 'sessionStorage'),
+    login: null
+  };
+
+  if (body.login !== undefined && body.login !== '') {
+    const named = typeof body.login === 'string' && LOGIN_NAME.test(body.login);
+    if (named && !project) {
+      throw new HttpError(400, 'login names a stored recipe, so a project is required');
+    }
+    session.login = named ? body.login : parseLoginRecipe(body.login);
+  }
+
+  const empty = !session.headers && !session.cookies.length && !session.localStorage && !session.sessionStorage && !session.login;
+  return empty ? null : session;
+}
+
+function pickCookie(cookie) {
+  const picked = {};
+  for (const field of COOKIE_FIELDS) {
+    if (cookie[field] !== undefined) picked[field] = cookie[field];
+  }
+  // Session cookies come back from the browser with expires -1
+  if (picked.expires !== undefined && picked.expires < 0) delete picked.expires;
+  return picked;
+}
+
+// Set localStorage/sessionStorage entries for origin as soon as each of its
+// documents is created
+async function seedStorage(page, origin, { localStorage, sessionStorage }) {
+  if (!localStorage && !sessionStorage) return;
+  await page.evaluateOnNewDocument((origin, local, session) => {
+    if (location.origin !== origin) return;
+    for (const [key, value] of Object.entries(local || {})) window.localStorage.setItem(key, value);
+    for (const [key, value] of Object.entries(session || {})) window.sessionStorage.setItem(key, value);
+  }, origin, localStorage, sessionStorage);
+}
+
+// Resolves once every condition of success holds, or the page has left the login URL
+async function waitForSuccess(page, recipe) {
+  const { success, timeout } = recipe;
+  const conditions = [];
+
+  if (success.url) {
+    conditions.push(page.waitForFunction(part => location.href.includes(part), { timeout }, success.url));
+  }
+  if (success.selector) {
+    conditions.push(page.waitForSelector(success.selector, { visible: true, timeout }));
+  }
+  if (success.cookie) {
+    conditions.push((async () => {
+      const deadline = Date.now() + timeout;
+      while (!(await page.cookies()).some(cookie => cookie.name === success.cookie)) {
+        if (Date.now() > deadline) throw new Error(`cookie ${success.cookie} was not set`);
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+    })());
+  }
+  if (!conditions.length) {
+    conditions.push(page.waitForFunction(loginUrl => location.href !== loginUrl, { timeout }, recipe.url));
+  }
+
+  await Promise.all(conditions);
+}
+
+// Run a login recipe on a fresh page of context and return the session it
+// leaves behind: cookies for the login and target URLs and the storage of the
+// page the login ended on
+async function runLogin(context, recipe, { targetUrl } = {}) {
+  await urlPolicy.check(recipe.url);
+  const page = await context.newPage();
+
+  try {
+    const guard = await urlPolicy.guardPage(page);
+    console.log(`[Session] Logging in at ${recipe.url}`);
+
+    try {
+      await page.goto(recipe.url, { waitUntil: 'networkidle2', timeout: recipe.timeout });
+    } catch (error) {
+      throw guard.error || error;
+    }
+
+    for (const field of recipe.fields) {
+      await page.waitForSelector(field.selector, { visible: true, timeout: recipe.timeout });
+      await page.click(field.selector, { count: 3 });
+      await page.type(field.selector, field.value);
+    }
+
+    if (recipe.submit) {
+      await page.click(recipe.submit);
+    } else {
+      await page.keyboard.press('Enter');
+    }
+
+    try {
+      await waitForSuccess(page, recipe);
+    } catch (error) {
+      throw new HttpError(422, `Login at ${recipe.url} did not succeed: ${error.message.split('\n')[0]}`);
+    }
+    // Let redirects and token exchanges after the success condition finish
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+    if (guard.error) throw guard.error;
+
+    const urls = [recipe.url, page.url(), targetUrl].filter(url => url && /^https?:/.test(url));
+    const cookies = new Map();
+    for (const cookie of await page.cookies(...urls)) {
+      cookies.set(`${cookie.name};${cookie.domain};${cookie.path}`, pickCookie(cookie));
+    }
+    const storage = await page.evaluate(() => ({
+      origin: location.origin,
+      localStorage: { ...window.localStorage },
+      sessionStorage: { ...window.sessionStorage }
+    }));
+
+    console.log(`[Session] Logged in, ${cookies.size} cookies kept`);
+    return { cookies: Array.from(cookies.values()), ...storage };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// Logged-in sessions by project and recipe, each reused until its ttl runs
+// out. Logins in flight are shared, so a batch starting several captures
+// logs in once.
+class SessionCache {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  _key(project, recipe) {
+    // The hash covers the credentials, so different accounts never share a session
+    const hash = crypto.createHash('sha256').update(JSON.stringify(recipe)).digest('hex').slice(0, 32);
+    return `${project || ''}\n${hash}`;
+  }
+
+  // The cached session for recipe, or the result of login() when there is none
+  async get(project, recipe, login) {
+    const key = this._key(project, recipe);
+    const cached = this.sessions.get(key);
+    if (cached && (!cached.expires || cached.expires > Date.now())) {
+      const state = await cached.promise;
+      return { state, reused: true, expiresAt: new Date(cached.expires).toISOString() };
+    }
+
+    const entry = { project, expires: null, promise: null };
+    entry.promise = login().then((state) => {
+      entry.expires = Date.now() + recipe.ttl * 1000;
+      return state;
+    }, (error) => {
+      if (this.sessions.get(key) === entry) this.sessions.delete(key);
+      throw error;
+    });
+    this.sessions.set(key, entry);
+    this._trim();
+
+    const state = await entry.promise;
+    return { state, reused: false, expiresAt: new Date(entry.expires).toISOString() };
+  }
+
+  _trim() {
+    for (const [key, entry] of this.sessions) {
+      if (this.sessions.size <= MAX_CACHED_SESSIONS) break;
+      if (entry.expires) this.sessions.delete(key);
+    }
+  }
+
+  // Forget a project's sessions so the next capture logs in again
+  clear(project) {
+    let cleared = 0;
+    for (const [key, entry] of this.sessions) {
+      if (entry.project === project) {
+        this.sessions.delete(key);
+        cleared++;
+      }
+    }
+    return cleared;
+  }
+}
+
+// Named login recipes per project in a JSON file
+class LoginStore {
+  constructor(file) {
+    this.file = file;
+    this.logins = null;
+    this.writing = Promise.resolve();
+  }
+
+  async _load() {
+    if (!this.logins) {
+      try {
+        this.logins = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.logins = [];
+      }
+    }
+    return this.logins;
+  }
+
+  _save() {
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(`${this.file}.tmp`, JSON.stringify(this.logins, null, 2));
+      await fs.rename(`${this.file}.tmp`, this.file);
+    });
+    return this.writing;
+  }
+
+  // Create or replace the recipe called name
+  async save(project, name, body) {
+    if (typeof name !== 'string' || !LOGIN_NAME.test(name)) {
+      throw new HttpError(400, 'name must be 1-64 characters of letters, digits, ".", "_" or "-"');
+    }
+    const recipe = parseLoginRecipe(body);
+    await urlPolicy.check(recipe.url);
+
+    const logins = await this._load();
+    const existing = logins.find(login => login.project === project && login.name === name);
+    if (!existing && logins.filter(login => login.project === project).length >= MAX_PROJECT_LOGINS) {
+      throw new HttpError(400, `At most ${MAX_PROJECT_LOGINS} login recipes per project`);
+    }
+
+    const entry = { project, name, recipe, updatedAt: new Date().toISOString() };
+    if (existing) {
+      Object.assign(existing, entry);
+    } else {
+      logins.push(entry);
+    }
+    await this._save();
+    console.log(`[Session] Saved login recipe ${name} for project ${project}`);
+    return describeLogin(entry);
+  }
+
+  async get(project, name) {
+    const logins = await this._load();
+    const entry = logins.find(login => login.project === project && login.name === name);
+    if (!entry) {
+      throw new HttpError(404, `No login recipe ${name} in project ${project}`);
+    }
+    return entry.recipe;
+  }
+
+  async list(project) {
+    const logins = await this._load();
+    return logins.filter(login => login.project === project).map(describeLogin);
+  }
+
+  async remove(project, name) {
+    const logins = await this._load();
+    const index = logins.findIndex(login => login.project === project && login.name === name);
+    if (index === -1) {
+      throw new HttpError(404, `No login recipe ${name} in project ${project}`);
+    }
+    logins.splice(index, 1);
+    await this._save();
+  }
+}
+
+// A stored recipe as listed: field values (passwords among them) left out
+function describeLogin({ recipe, ...entry }) {
+  return { ...entry, recipe: { ...recipe, fields: recipe.fields.map(field => ({ selector: field.selector })) } };
+}
+
+// Apply session options to a page before it navigates to url: run or reuse
+// the login, then set cookies and storage seeds. Headers are not set here;
+// they go out through the URL policy guard, to the target's origin only.
+// Returns what the result should record about the login, if any.
+async function prepareSession(page, session, { url, signal, cache = sessionCache, store = loginStore } = {}) {
+  if (!session) return null;
+
+  let login = null;
+  if (session.login) {
+    const recipe = typeof session.login === 'string' ? await store.get(session.project, session.login) : session.login;
+    const { state, reused, expiresAt } = await cache.get(session.project, recipe,
+      () => runLogin(page.browserContext(), recipe, { targetUrl: url }));
+    if (signal?.aborted) throw new CancelledError();
+
+    if (state.cookies.length) await page.setCookie(...state.cookies);
+    await seedStorage(page, state.origin, state);
+    login = {
+      recipe: typeof session.login === 'string' ? session.login : undefined,
+      url: recipe.url,
+      reused,
+      expiresAt
+    };
+    console.log(`[Session] ${reused ? 'Reusing cached' : 'Using new'} session from ${recipe.url}`);
+  }
+
+  // Explicit cookies and seeds apply on top of the login's
+  const cookies = session.cookies.map(cookie => (cookie.url || cookie.domain ? cookie : { ...cookie, url }));
+  if (cookies.length) await page.setCookie(...cookies);
+  await seedStorage(page, new URL(url).origin, session);
+
+  return login;
+}
+
+// Extra headers for a request: only requests to the target's own origin get them
+function headersFor(session, url) {
+  if (!session?.headers) return undefined;
+  const origin = new URL(url).origin;
+  return (request) => {
+    try {
+      return new URL(request.url()).origin === origin ? session.headers : null;
+    } catch (error) {
+      return null;
+    }
+  };
+}
+
+const sessionCache = new SessionCache();
+const loginStore = new LoginStore(
+  process.env.LOGINS_FILE || path.join(__dirname, '..', 'data', 'logins.json')
+);
+
+module.exports = {
+  SessionCache,
+  LoginStore,
+  sessionCache,
+  loginStore,
+  parseSessionOptions,
+  parseLoginRecipe,
+  prepareSession,
+  headersFor,
+  runLogin
+};
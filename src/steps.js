@@ -0,0 +1,185 @@
+const { HttpError, StepError, CancelledError } = require('./errors');
+const { parseJsonField, sleep } = require('./utils');
+
+const MAX_STEPS = 30;
+const DEFAULT_TIMEOUT = 10000;
+const MAX_TIMEOUT = 60000;
+const MAX_SLEEP = 30000;
+
+// Fields each action needs. Cookies and storage are seeded before the page
+// loads; every other action runs in order once navigation has settled.
+const STEP_SPECS = {
+  waitForSelector: { required: ['selector'] },
+  click: { required: ['selector'] },
+  type: { required: ['selector', 'text'] },
+  hover: { required: ['selector'] },
+  scroll: { required: [] },
+  waitForFunction: { required: ['expression'] },
+  waitForFonts: { required: [] },
+  injectCSS: { required: ['css'] },
+  setCookie: { required: ['name', 'value'], beforeNavigation: true },
+  setLocalStorage: { required: ['key', 'value'], beforeNavigation: true },
+  sleep: { required: ['ms'] }
+};
+
+// Validate the `steps` field of a request so a typo fails before any capture starts
+function parseSteps(value) {
+  const steps = parseJsonField(value, 'steps') || [];
+
+  if (!Array.isArray(steps)) {
+    throw new HttpError(400, 'steps must be an array');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new HttpError(400, `At most ${MAX_STEPS} steps per request`);
+  }
+
+  return steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    const spec = step && STEP_SPECS[step.action];
+    if (!spec) {
+      throw new HttpError(400, `${label}: action must be one of ${Object.keys(STEP_SPECS).join(', ')}`);
+    }
+
+    for (const field of spec.required) {
+      if (step[field] === undefined || step[field] === '') {
+        throw new HttpError(400, `${label} (${step.action}) needs "${field}"`);
+      }
+    }
+    for (const field of ['selector', 'text', 'expression', 'css', 'name', 'key']) {
+      if (step[field] !== undefined && typeof step[field] !== 'string') {
+        throw new HttpError(400, `${label} (${step.action}): "${field}" must be a string`);
+      }
+    }
+
+    const timeout = step.timeout === undefined ? DEFAULT_TIMEOUT : Number(step.timeout);
+    if (!(timeout > 0 && timeout <= MAX_TIMEOUT)) {
+      throw new HttpError(400, `${label}: timeout must be between 1 and ${MAX_TIMEOUT} ms`);
+    }
+    if (step.action === 'sleep' && !(Number(step.ms) >= 0 && Number(step.ms) <= MAX_SLEEP)) {
+      throw new HttpError(400, `${label}: sleep ms must be between 0 and ${MAX_SLEEP}`);
+    }
+    if (step.action === 'scroll' && !step.selector && [step.x, step.y].some(v => v !== undefined && !Number.isFinite(Number(v)))) {
+      throw new HttpError(400, `${label}: scroll x and y must be numbers`);
+    }
+
+    return { ...step, index, timeout, optional: step.optional === true };
+  });
+}
+
+async function runStep(page, step, { url }) {
+  const { timeout } = step;
+
+  switch (step.action) {
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { visible: step.hidden ? false : step.visible !== false, hidden: !!step.hidden, timeout });
+      break;
+
+    case 'click': {
+      const handle = await page.waitForSelector(step.selector, { visible: true, timeout });
+      await handle.click();
+      break;
+    }
+
+    case 'type': {
+      const handle = await page.waitForSelector(step.selector, { visible: true, timeout });
+      if (step.clear) {
+        await handle.click({ count: 3 });
+        await page.keyboard.press('Backspace');
+      }
+      await handle.type(step.text, { delay: Number(step.delay) || 0 });
+      break;
+    }
+
+    case 'hover': {
+      const handle = await page.waitForSelector(step.selector, { visible: true, timeout });
+      await handle.hover();
+      break;
+    }
+
+    case 'scroll':
+      if (step.selector) {
+        const handle = await page.waitForSelector(step.selector, { timeout });
+        await handle.evaluate(el => el.scrollIntoView({ block: 'start' }));
+      } else {
+        await page.evaluate((x, y) => window.scrollTo(x, y), Number(step.x) || 0, Number(step.y) || 0);
+      }
+      break;
+
+    case 'waitForFunction':
+      await page.waitForFunction(step.expression, { timeout, polling: 'raf' });
+      break;
+
+    case 'waitForFonts':
+      await page.waitForFunction(() => document.fonts.status === 'loaded', { timeout });
+      break;
+
+    case 'injectCSS':
+      await page.addStyleTag({ content: step.css });
+      break;
+
+    case 'setCookie': {
+      const cookie = { name: step.name, value: String(step.value) };
+      if (step.domain) {
+        cookie.domain = step.domain;
+        cookie.path = step.path || '/';
+      } else {
+        cookie.url = step.url || url;
+      }
+      for (const field of ['expires', 'httpOnly', 'secure', 'sameSite']) {
+        if (step[field] !== undefined) cookie[field] = step[field];
+      }
+      await page.setCookie(cookie);
+      break;
+    }
+
+    case 'setLocalStorage': {
+      // Seed storage for the target origin as soon as its document is created
+      const origin = new URL(step.url || url).origin;
+      const value = typeof step.value === 'string' ? step.value : JSON.stringify(step.value);
+      await page.evaluateOnNewDocument((origin, key, value) => {
+        if (location.origin === origin) localStorage.setItem(key, value);
+      }, origin, step.key, value);
+      break;
+    }
+
+    case 'sleep':
+      await sleep(Number(step.ms));
+      break;
+  }
+}
+
+// Run the steps belonging to one stage (before or after navigation), appending
+// { index, action, status, durationMs, error } entries to report. A failing step
+// stops the run with a StepError unless it is marked optional.
+async function runSteps(page, steps, { url, beforeNavigation = false, signal, report = [] } = {}) {
+  for (const step of steps) {
+    if (!!STEP_SPECS[step.action].beforeNavigation !== beforeNavigation) continue;
+    if (signal?.aborted) throw new CancelledError();
+
+    const started = Date.now();
+    try {
+      await runStep(page, step, { url });
+      report.push({ index: step.index, action: step.action, status: 'ok', durationMs: Date.now() - started });
+    } catch (error) {
+      if (signal?.aborted) throw new CancelledError();
+
+      const message = error.message.split('\n')[0];
+      report.push({
+        index: step.index,
+        action: step.action,
+        status: step.optional ? 'skipped' : 'failed',
+        durationMs: Date.now() - started,
+        error: message
+      });
+
+      if (!step.optional) {
+        report.sort((a, b) => a.index - b.index);
+        throw new StepError(`Step ${step.index + 1} (${step.action}) failed: ${message}`, report);
+      }
+    }
+  }
+
+  return report.sort((a, b) => a.index - b.index);
+}
+
+module.exports = { parseSteps, runSteps, STEP_SPECS };
@@ -0,0 +1,77 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Object storage on the local filesystem. Keys are slash-separated paths
+// relative to the root directory.
+class FileStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, body);
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  // Buffer with the object's contents, or null when it does not exist
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const file = this.resolve(key);
+    await fs.rm(file, { force: true });
+    // Drop the directory once its last object is gone
+    if (path.dirname(file) !== this.root) {
+      await fs.rmdir(path.dirname(file)).catch(() => {});
+    }
+  }
+
+  // All objects under prefix as { key, lastModified }
+  async list(prefix = '') {
+    const objects = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(file);
+        } else if (!entry.name.endsWith('.tmp')) {
+          const key = path.relative(this.root, file).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stat = await fs.stat(file);
+            objects.push({ key, lastModified: stat.mtime });
+          }
+        }
+      }
+    };
+
+    // Only walk the directory the prefix points into
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await walk(prefixDir ? this.resolve(prefixDir) : this.root);
+    return objects;
+  }
+}
+
+module.exports = { FileStorage };
@@ -0,0 +1,32 @@
+const path = require('path');
+const { FileStorage } = require('./fileStorage');
+const { S3Storage } = require('./s3Storage');
+
+// Storage drivers share one small interface:
+//   put(key, buffer, contentType)  get(key) -> Buffer | null
+//   delete(key)                    list(prefix) -> [{ key, lastModified }]
+// STORAGE_DRIVER picks the driver: 'fs' (default) or 's3'.
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'fs';
+
+  if (driver === 's3') {
+    return new S3Storage({
+      endpoint: env.S3_ENDPOINT,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX
+    });
+  }
+
+  if (driver === 'fs') {
+    return new FileStorage(env.STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'storage'));
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+}
+
+const storage = createStorage();
+
+module.exports = { createStorage, storage, FileStorage, S3Storage };
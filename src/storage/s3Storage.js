@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Object storage in an S3-compatible bucket (AWS S3, MinIO, R2, or a local
+// stand-in) using path-style requests signed with AWS Signature V4.
+// Implements the same put/get/delete/list interface as FileStorage.
+class S3Storage {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+    if (!endpoint || !bucket) {
+      throw new Error('S3 storage needs an endpoint and a bucket');
+    }
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+  }
+
+  async put(key, body, contentType = 'application/octet-stream') {
+    const response = await this._request('PUT', key, { body, headers: { 'content-type': contentType } });
+    if (!response.ok) {
+      throw new Error(`S3 PUT ${key} failed with ${response.status}`);
+    }
+  }
+
+  async get(key) {
+    const response = await this._request('GET', key);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 GET ${key} failed with ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(key) {
+    const response = await this._request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 DELETE ${key} failed with ${response.status}`);
+    }
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix + prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const response = await this._request('GET', null, { query });
+      if (!response.ok) {
+        throw new Error(`S3 LIST ${prefix} failed with ${response.status}`);
+      }
+      const xml = await response.text();
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(contents)[1]);
+        const lastModified = /<LastModified>([\s\S]*?)<\/LastModified>/.exec(contents)?.[1];
+        objects.push({
+          key: key.slice(this.prefix.length),
+          lastModified: lastModified ? new Date(lastModified) : null
+        });
+      }
+
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      continuationToken = truncated ? decodeXml(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(xml)?.[1] || '') : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async _request(method, key, { query = {}, body, headers = {} } = {}) {
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const objectPath = key === null ? '' : '/' + (this.prefix + key).split('/').map(encode).join('/');
+    const canonicalUri = `${basePath}/${encode(this.bucket)}${objectPath}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const signedHeaders = {
+      ...headers,
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(signedHeaders[name]).trim()}\n`).join('');
+
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      canonicalHeaders,
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const url = `${this.endpoint.protocol}//${this.endpoint.host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    const { host, ...requestHeaders } = signedHeaders;
+
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...requestHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+      }
+    });
+  }
+}
+
+module.exports = { S3Storage };
@@ -0,0 +1,243 @@
+const { fetch: undiciFetch } = require('undici');
+const { browserPool } = require('./browserPool');
+const { baselineStore } = require('./baselines');
+const { parseViewportEntry, summarizeBatch, compareInContext } = require('./batch');
+const { resultStore } = require('./resultStore');
+const { urlPolicy } = require('./urlPolicy');
+const { parseSteps } = require('./steps');
+const { HttpError } = require('./errors');
+const { createId, parseJsonField } = require('./utils');
+
+const MAX_STORIES = 200;
+const MAX_VIEWPORTS = 5;
+const MAX_CAPTURES = 300;
+
+// Storybook marks <body> once the story has rendered (or failed to)
+const STORY_READY_STEP = {
+  action: 'waitForFunction',
+  expression: "['sb-show-main', 'sb-show-errordisplay', 'sb-show-nopreview'].some(c => document.body.classList.contains(c))",
+  timeout: 15000,
+  optional: true
+};
+
+// A JSON array or a comma separated string
+function toList(value, name) {
+  if (value === undefined || value === '') return [];
+  const list = typeof value === 'string' && !value.trim().startsWith('[') ? value.split(',') : parseJsonField(value, name);
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+    throw new HttpError(400, `${name} must be a list of story ids or patterns`);
+  }
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+// Story id patterns use * as a wildcard: "button--*", "*--mobile"
+function patternToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+// Read storybookUrl, include/exclude, viewports and baselineProject from a
+// request body. Designs are matched later by file name.
+function parseStorybookOptions(body = {}) {
+  let base;
+  try {
+    base = new URL(body.storybookUrl);
+  } catch (error) {
+    throw new HttpError(400, 'storybookUrl must be the URL of a Storybook build');
+  }
+  if (!['http:', 'https:'].includes(base.protocol)) {
+    throw new HttpError(400, 'storybookUrl must be an http(s) URL');
+  }
+  if (!base.pathname.endsWith('/')) base.pathname += '/';
+  base.search = '';
+  base.hash = '';
+
+  const viewports = parseJsonField(body.viewports, 'viewports') || [{ width: body.width, height: body.height }];
+  if (!Array.isArray(viewports) || !viewports.length || viewports.length > MAX_VIEWPORTS) {
+    throw new HttpError(400, `viewports must be an array of 1 to ${MAX_VIEWPORTS} entries`);
+  }
+
+  const baselineProject = body.baselineProject || undefined;
+
+  return {
+    baseUrl: base.href,
+    include: toList(body.include, 'include').map(patternToRegExp),
+    exclude: toList(body.exclude, 'exclude').map(patternToRegExp),
+    viewports: viewports.map(viewport => parseViewportEntry(viewport, body)),
+    baselineProject,
+    // Wait for the story to render before any steps the request adds
+    steps: parseSteps([STORY_READY_STEP, ...(parseJsonField(body.steps, 'steps') || [])])
+  };
+}
+
+// Stories from index.json (Storybook 7+) or stories.json (6.x), docs entries left out
+async function fetchStoryIndex(baseUrl, { fetch = undiciFetch, timeout = 30000, policy = urlPolicy } = {}) {
+  // The index is fetched by the server itself, so it answers to the same URL policy
+  await policy.check(baseUrl);
+
+  for (const file of ['index.json', 'stories.json']) {
+    let response;
+    try {
+      // The policy's dispatcher only connects to addresses that pass it
+      response = await fetch(new URL(file, baseUrl), { signal: AbortSignal.timeout(timeout), redirect: 'error', dispatcher: policy.dispatcher() });
+    } catch (error) {
+      throw new HttpError(502, `Could not reach Storybook at ${baseUrl}: ${error.message}`);
+    }
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new HttpError(502, `Storybook answered ${response.status} for ${file}`);
+    }
+
+    const index = await response.json();
+    const entries = Object.values(index.entries || index.stories || {});
+    return entries
+      .filter(entry => entry.id && (entry.type ? entry.type === 'story' : !entry.parameters?.docsOnly))
+      .map(entry => ({ id: entry.id, title: entry.title || entry.kind, name: entry.name }));
+  }
+
+  throw new HttpError(404, `No index.json or stories.json under ${baseUrl}`);
+}
+
+function selectStories(stories, { include, exclude }) {
+  return stories.filter(story =>
+    (!include.length || include.some(re => re.test(story.id))) &&
+    !exclude.some(re => re.test(story.id))
+  );
+}
+
+function storyUrl(baseUrl, storyId) {
+  const url = new URL('iframe.html', baseUrl);
+  url.searchParams.set('id', storyId);
+  url.searchParams.set('viewMode', 'story');
+  return url.href;
+}
+
+// Design uploads are named <storyId>.png or <storyId>@<viewport name>.png
+function findDesign(files, storyId, viewportName) {
+  const stem = file => file.originalname.replace(/\.(png|jpe?g|webp)$/i, '');
+  return (files.find(f => stem(f) === `${storyId}@${viewportName}`) || files.find(f => stem(f) === storyId))?.buffer;
+}
+
+// The design upload for a story, else the current baseline of
+// <baselineProject>/<storyId> at the viewport's size
+async function resolveReference(files, sweep, story, viewport) {
+  const design = findDesign(files, story.id, viewport.name);
+  if (design) return { designBuffer: design, source: 'design' };
+
+  if (sweep.baselineProject) {
+    const size = { width: viewport.options.viewportWidth, height: viewport.options.viewportHeight };
+    const manifest = await baselineStore.getManifest(sweep.baselineProject, story.id, size).catch(() => null);
+    if (manifest) {
+      const { buffer, version } = await baselineStore.read(sweep.baselineProject, story.id, size);
+      return {
+        designBuffer: buffer,
+        source: 'baseline',
+        baseline: { project: sweep.baselineProject, pageKey: story.id, viewport: size, version: version.version }
+      };
+    }
+  }
+  return null;
+}
+
+// Whether a story has a design upload or baseline at this viewport, without reading the baseline
+async function hasReference(files, sweep, story, viewport) {
+  if (findDesign(files, story.id, viewport.name)) return true;
+  if (!sweep.baselineProject) return false;
+  const size = { width: viewport.options.viewportWidth, height: viewport.options.viewportHeight };
+  return Boolean(await baselineStore.getManifest(sweep.baselineProject, story.id, size).catch(() => null));
+}
+
+// The stories a sweep covers, read from the Storybook index, and how many
+// story/viewport pairs have a reference and will be captured. Done before the
+// sweep starts so its size is known (and limited, and charged) up front.
+async function planStorybookSweep(sweep, files = []) {
+  const stories = selectStories(await fetchStoryIndex(sweep.baseUrl), sweep);
+  if (!stories.length) {
+    throw new HttpError(404, 'No stories matched include/exclude');
+  }
+  if (stories.length > MAX_STORIES || stories.length * sweep.viewports.length > MAX_CAPTURES) {
+    throw new HttpError(400, `At most ${MAX_STORIES} stories and ${MAX_CAPTURES} captures per sweep; narrow it with include`);
+  }
+
+  let captures = 0;
+  for (const story of stories) {
+    for (const viewport of sweep.viewports) {
+      if (await hasReference(files, sweep, story, viewport)) captures++;
+    }
+  }
+  if (!captures) {
+    throw new HttpError(400, 'None of the matched stories has a design upload or baseline');
+  }
+  return { stories, captures };
+}
+
+// Capture every planned story at every viewport in one browser context and
+// diff it against its design or baseline. Results are stored like single
+// comparisons; the batch ranks items from most to least different.
+async function runStorybookSweep(baseOptions, sweep, stories, files, { onPhase = () => {}, signal } = {}) {
+  const steps = stories.length * sweep.viewports.length;
+  console.log(`[Storybook] Sweeping ${stories.length} stories at ${sweep.viewports.length} viewports from ${sweep.baseUrl}`);
+
+  const items = await browserPool.withContext(async (context) => {
+    const items = [];
+
+    for (const story of stories) {
+      for (const viewport of sweep.viewports) {
+        const name = `${story.id}@${viewport.name}`;
+        const progress = { step: items.length, steps };
+        const meta = { storyId: story.id, title: story.title, story: story.name };
+
+        const reference = await resolveReference(files, sweep, story, viewport);
+        if (!reference) {
+          items.push({ name, ...meta, error: 'No design upload or baseline for this story' });
+          continue;
+        }
+
+        // Baselines are screenshots on the same pixel grid, so no scaling
+        const align = reference.source === 'baseline'
+          ? { ...viewport.options.align, fit: 'none', anchor: 'top-left', dpr: 1 }
+          : viewport.options.align;
+
+        console.log(`[Storybook] ${name} against ${reference.source}`);
+        const item = await compareInContext(context, {
+          ...baseOptions,
+          ...viewport.options,
+          url: storyUrl(sweep.baseUrl, story.id),
+          align,
+          steps: sweep.steps,
+          designBuffer: reference.designBuffer
+        }, {
+          name,
+          extra: { story: meta, baseline: reference.baseline },
+          onPhase: phase => onPhase(phase, progress),
+          signal
+        });
+        items.push({ ...item, ...meta, reference: reference.source });
+      }
+    }
+
+    return items;
+  });
+
+  // Most different first; stories that could not be compared go last
+  items.sort((a, b) => {
+    if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+    return a.stats.matchPercentage - b.stats.matchPercentage;
+  });
+  items.forEach((item, index) => { item.rank = index + 1; });
+
+  const batch = {
+    id: createId(),
+    type: 'storybook',
+    project: baseOptions.project,
+    timestamp: Date.now(),
+    url: sweep.baseUrl,
+    summary: { ...summarizeBatch(items), stories: stories.length, viewports: sweep.viewports.map(v => v.name) },
+    items
+  };
+
+  await resultStore.saveBatch(batch);
+  console.log(`[Storybook] Done. ${batch.summary.succeeded}/${batch.summary.total} compared, average match ${batch.summary.averageMatchPercentage}%`);
+  return batch;
+}
+
+module.exports = { parseStorybookOptions, fetchStoryIndex, selectStories, storyUrl, planStorybookSweep, runStorybookSweep };
@@ -0,0 +1,299 @@
+const { HttpError } = require('./errors');
+const { parseCssColor, rgbToLab, deltaE2000 } = require('./color');
+const { parsePx, parseWeight, primaryFamily } = require('./tokens');
+
+const MAX_SPEC_ENTRIES = 200;
+
+// Allowed deviation per property type: px for lengths, ΔE2000 for colours
+const DEFAULT_TOLERANCES = {
+  fontSize: 0.5,
+  lineHeight: 1,
+  letterSpacing: 0.1,
+  fontWeight: 0,
+  spacing: 1,
+  size: 1,
+  radius: 1,
+  box: 2,
+  color: 2.3
+};
+
+const SHORTHANDS = {
+  margin: ['marginTop', 'marginRight', 'marginBottom', 'marginLeft'],
+  padding: ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+};
+
+const toCamel = name => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+const toKebab = name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+// Which tolerance and comparison a property uses
+function propertyType(property) {
+  if (/color$/i.test(property) || property === 'fill') return 'color';
+  if (property === 'fontFamily') return 'fontFamily';
+  if (property === 'fontWeight') return 'fontWeight';
+  if (property === 'fontSize' || property === 'lineHeight' || property === 'letterSpacing') return property;
+  if (/^(margin|padding)|gap$/i.test(property)) return 'spacing';
+  if (/radius$/i.test(property)) return 'radius';
+  if (/^(width|height|min|max|top|left|right|bottom)/.test(property) || /width$/i.test(property)) return 'size';
+  return 'keyword';
+}
+
+// Expand "8px 16px" style shorthands into their four sides
+function expandShorthand(property, value) {
+  const parts = String(value).trim().split(/\s+/);
+  const [top, right = top, bottom = top, left = right] = parts;
+  return Object.fromEntries(SHORTHANDS[property].map((side, i) => [side, [top, right, bottom, left][i]]));
+}
+
+// Accept { selector: { ...properties, box } } or [{ selector, properties, box }]
+function parseStyleSpec(value) {
+  if (!value || typeof value !== 'object') {
+    throw new HttpError(400, 'spec must map selectors to expected properties');
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map(entry => [entry?.selector, { ...(entry?.properties || {}), ...(entry?.box ? { box: entry.box } : {}) }])
+    : Object.entries(value);
+
+  if (!entries.length || entries.length > MAX_SPEC_ENTRIES) {
+    throw new HttpError(400, `spec must have between 1 and ${MAX_SPEC_ENTRIES} selectors`);
+  }
+
+  return entries.map(([selector, expected]) => {
+    if (typeof selector !== 'string' || !selector.trim()) {
+      throw new HttpError(400, 'Every spec entry needs a selector');
+    }
+    if (!expected || typeof expected !== 'object') {
+      throw new HttpError(400, `Expected properties for "${selector}" must be an object`);
+    }
+
+    const { box, ...props } = expected;
+    const properties = {};
+    for (const [name, propValue] of Object.entries(props)) {
+      const property = toCamel(name);
+      if (SHORTHANDS[property]) {
+        Object.assign(properties, expandShorthand(property, propValue));
+      } else {
+        properties[property] = propValue;
+      }
+    }
+
+    if (properties.fontWeight !== undefined && parseWeight(properties.fontWeight) === null) {
+      throw new HttpError(400, `fontWeight for "${selector}" must be a number or weight name like "bold"`);
+    }
+
+    if (box && !['x', 'y', 'width', 'height'].some(key => Number.isFinite(box[key]))) {
+      throw new HttpError(400, `box for "${selector}" needs numeric x, y, width or height`);
+    }
+
+    return { selector, properties, box };
+  });
+}
+
+function parseTolerances(value = {}) {
+  const tolerances = { ...DEFAULT_TOLERANCES };
+  for (const [type, tolerance] of Object.entries(value || {})) {
+    if (!(type in DEFAULT_TOLERANCES)) {
+      throw new HttpError(400, `Unknown tolerance "${type}". Use one of: ${Object.keys(DEFAULT_TOLERANCES).join(', ')}`);
+    }
+    if (!(Number(tolerance) >= 0)) {
+      throw new HttpError(400, `Tolerance "${type}" must be a non-negative number`);
+    }
+    tolerances[type] = Number(tolerance);
+  }
+  return tolerances;
+}
+
+// Read the computed values and document box of the first element matching each spec selector
+async function collectSpecStyles(page, spec) {
+  return page.evaluate((entries) => entries.map(({ selector, properties }) => {
+    let elements;
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch (e) {
+      return { selector, error: 'Invalid selector' };
+    }
+    const el = elements[0];
+    if (!el) return { selector, matched: 0 };
+
+    const computed = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return {
+      selector,
+      matched: elements.length,
+      // Relative line heights in the spec resolve against this
+      fontSize: computed.getPropertyValue('font-size'),
+      values: Object.fromEntries(properties.map(([camel, kebab]) => [camel, computed.getPropertyValue(kebab)])),
+      box: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    };
+  }), spec.map(entry => ({
+    selector: entry.selector,
+    properties: Object.keys(entry.properties).map(property => [property, toKebab(property)])
+  })));
+}
+
+function formatDelta(delta, unit) {
+  const rounded = parseFloat(delta.toFixed(2));
+  const sign = rounded > 0 ? '+' : rounded < 0 ? '−' : '±';
+  return `${sign}${Math.abs(rounded)}${unit}`;
+}
+
+// Expected line height in px: unitless, em and % values are relative to the
+// element's computed font size. null for 'normal' and anything unparseable.
+function resolveLineHeight(expected, fontSize) {
+  if (typeof expected === 'number') return fontSize ? expected * fontSize : null;
+  const match = /^(-?[\d.]+)(px|rem|em|%)?$/.exec(String(expected).trim());
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  if (match[2] === 'px' || match[2] === 'rem') return parsePx(expected);
+  if (!fontSize) return null;
+  return match[2] === '%' ? number / 100 * fontSize : number * fontSize;
+}
+
+// Compare one property; returns { expected, actual, delta, unit, pass, message }.
+// fontSize is the element's computed font size in px.
+function compareProperty(selector, property, expected, actual, tolerances, { fontSize } = {}) {
+  const type = propertyType(property);
+  const label = `${selector} ${property}`;
+  const result = { property, type, expected, actual };
+
+  if (actual === undefined || actual === '') {
+    return { ...result, pass: false, message: `${label} is not set (expected ${expected})` };
+  }
+
+  if (type === 'color') {
+    const want = parseCssColor(String(expected));
+    const got = parseCssColor(actual);
+    if (!want || !got) {
+      return { ...result, pass: String(expected).trim() === actual.trim(), message: `${label} ${expected} vs ${actual}` };
+    }
+    const delta = deltaE2000(rgbToLab(want[0], want[1], want[2]), rgbToLab(got[0], got[1], got[2])) +
+      Math.abs(want[3] - got[3]) * 100;
+    const pass = delta <= tolerances.color;
+    return { ...result, delta: parseFloat(delta.toFixed(2)), unit: 'ΔE', pass, message: `${label} ${expected} vs ${actual} (ΔE ${delta.toFixed(1)})` };
+  }
+
+  if (type === 'fontFamily') {
+    const pass = primaryFamily(expected).toLowerCase() === primaryFamily(actual).toLowerCase();
+    return { ...result, pass, message: `${label} ${primaryFamily(expected)} vs ${primaryFamily(actual)}` };
+  }
+
+  // Computed weights are numeric; anything else falls back to the keyword comparison
+  if (type === 'fontWeight' && parseWeight(actual) !== null) {
+    const delta = parseWeight(actual) - parseWeight(expected);
+    return { ...result, delta, unit: '', pass: Math.abs(delta) <= tolerances.fontWeight, message: `${label} ${expected} vs ${actual} (${formatDelta(delta, '')})` };
+  }
+
+  if (type === 'lineHeight') {
+    const want = resolveLineHeight(expected, fontSize);
+    const got = parsePx(actual);
+    if (want !== null && got !== null) {
+      const delta = got - want;
+      const shown = /px$/.test(String(expected).trim()) ? `${want}px` : `${expected} (${parseFloat(want.toFixed(2))}px)`;
+      return {
+        ...result,
+        delta: parseFloat(delta.toFixed(2)),
+        unit: 'px',
+        pass: Math.abs(delta) <= tolerances.lineHeight,
+        message: `${label} ${shown} vs ${got}px (${formatDelta(delta, 'px')})`
+      };
+    }
+  } else if (type !== 'keyword') {
+    const want = parsePx(expected);
+    const got = parsePx(actual);
+    if (want !== null && got !== null) {
+      const delta = got - want;
+      const pass = Math.abs(delta) <= tolerances[type];
+      return {
+        ...result,
+        delta: parseFloat(delta.toFixed(2)),
+        unit: 'px',
+        pass,
+        message: `${label} ${want}px vs ${got}px (${formatDelta(delta, 'px')})`
+      };
+    }
+  }
+
+  const pass = String(expected).trim().toLowerCase() === String(actual).trim().toLowerCase();
+  return { ...result, pass, message: `${label} ${expected} vs ${actual}` };
+}
+
+// Per-property diff of every spec entry against what the page rendered.
+// `checklist` lists only the failing checks, worst first within each element.
+function diffStyles(spec, collected, tolerances = DEFAULT_TOLERANCES) {
+  const elements = [];
+  const checklist = [];
+  let checked = 0;
+  let passed = 0;
+
+  spec.forEach((entry, index) => {
+    const found = collected[index];
+    if (!found || !found.values) {
+      const message = found?.error
+        ? `${entry.selector}: ${found.error}`
+        : `${entry.selector} not found on the page`;
+      const count = Object.keys(entry.properties).length + (entry.box ? 1 : 0);
+      checked += count;
+      checklist.push(message);
+      elements.push({ selector: entry.selector, found: false, error: found?.error, properties: [] });
+      return;
+    }
+
+    const properties = Object.entries(entry.properties)
+      .map(([property, expected]) => compareProperty(entry.selector, property, expected, found.values[property], tolerances, {
+        fontSize: parsePx(found.fontSize)
+      }));
+
+    if (entry.box) {
+      for (const key of ['x', 'y', 'width', 'height']) {
+        if (!Number.isFinite(entry.box[key])) continue;
+        const delta = found.box[key] - entry.box[key];
+        properties.push({
+          property: `box.${key}`,
+          type: 'box',
+          expected: entry.box[key],
+          actual: found.box[key],
+          delta,
+          unit: 'px',
+          pass: Math.abs(delta) <= tolerances.box,
+          message: `${entry.selector} box ${key} ${entry.box[key]}px vs ${found.box[key]}px (${formatDelta(delta, 'px')})`
+        });
+      }
+    }
+
+    const failing = properties.filter(p => !p.pass);
+    checked += properties.length;
+    passed += properties.length - failing.length;
+    failing
+      .sort((a, b) => Math.abs(b.delta || 0) - Math.abs(a.delta || 0))
+      .forEach(p => checklist.push(p.message));
+
+    elements.push({
+      selector: entry.selector,
+      found: true,
+      matched: found.matched,
+      box: found.box,
+      passed: failing.length === 0,
+      properties
+    });
+  });
+
+  return {
+    summary: {
+      elements: spec.length,
+      checked,
+      passed,
+      failed: checked - passed,
+      score: checked ? parseFloat((passed / checked * 100).toFixed(2)) : 100
+    },
+    tolerances,
+    checklist,
+    elements
+  };
+}
+
+module.exports = { parseStyleSpec, parseTolerances, collectSpecStyles, diffStyles, DEFAULT_TOLERANCES };
@@ -0,0 +1,331 @@
+const { HttpError } = require('./errors');
+const { parseJsonField } = require('./utils');
+const { designRectToCanvas } = require('./masking');
+
+const MAX_TEXT_LAYERS = 2000;
+const MAX_REPORTED = 200;
+
+const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function attr(attrs, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*["']([^"']*)["']`).exec(attrs);
+  return match ? match[1] : undefined;
+}
+
+// <text> elements of an SVG export. SVG only gives the baseline position, so
+// boxes are estimated from the font size.
+function parseSvgText(svg) {
+  const layers = [];
+  const textPattern = /<text\b([^>]*)>([\s\S]*?)<\/text>/g;
+  let match;
+
+  while ((match = textPattern.exec(svg)) && layers.length < MAX_TEXT_LAYERS) {
+    const [, attrs, inner] = match;
+    const style = attr(attrs, 'style') || '';
+    const fontSize = parseFloat(attr(attrs, 'font-size') || /font-size:\s*([\d.]+)/.exec(style)?.[1]) || 16;
+    const translate = /translate\(\s*([-\d.]+)[\s,]*([-\d.]+)?\s*\)/.exec(attr(attrs, 'transform') || '');
+    const offsetX = translate ? parseFloat(translate[1]) : 0;
+    const offsetY = translate ? parseFloat(translate[2] || 0) : 0;
+
+    // Each tspan is a line with its own position; plain content uses the text's
+    const lines = [];
+    const tspanPattern = /<tspan\b([^>]*)>([\s\S]*?)<\/tspan>/g;
+    let tspan;
+    while ((tspan = tspanPattern.exec(inner))) {
+      lines.push({ attrs: tspan[1], text: tspan[2].replace(/<[^>]+>/g, '') });
+    }
+    if (!lines.length) lines.push({ attrs, text: inner.replace(/<[^>]+>/g, '') });
+
+    let box = null;
+    const words = [];
+    for (const line of lines) {
+      const text = normalize(decodeEntities(line.text));
+      if (!text) continue;
+      words.push(text);
+
+      const x = parseFloat(attr(line.attrs, 'x') ?? attr(attrs, 'x')) || 0;
+      const y = parseFloat(attr(line.attrs, 'y') ?? attr(attrs, 'y')) || 0;
+      const lineBox = {
+        x: offsetX + x,
+        y: offsetY + y - fontSize * 0.9,
+        width: text.length * fontSize * 0.5,
+        height: fontSize * 1.2
+      };
+      box = box ? unionBox(box, lineBox) : lineBox;
+    }
+
+    if (box) layers.push({ text: words.join(' '), ...roundBox(box) });
+  }
+
+  return layers;
+}
+
+// Design text layers from an uploaded JSON spec or SVG export, in design pixels.
+// JSON is [{ text, x, y, width, height }] or { layers: [...] }.
+function parseTextLayers(source) {
+  if (source === undefined || source === null || source === '') return null;
+
+  const raw = Buffer.isBuffer(source) ? source.toString('utf8') : source;
+  if (typeof raw === 'string' && /^\s*(<\?xml|<svg)/i.test(raw)) {
+    return parseSvgText(raw);
+  }
+
+  const spec = parseJsonField(raw, 'designText');
+  const layers = Array.isArray(spec) ? spec : spec?.layers;
+  if (!Array.isArray(layers)) {
+    throw new HttpError(400, 'designText must be a JSON array of text layers or an SVG export');
+  }
+  if (layers.length > MAX_TEXT_LAYERS) {
+    throw new HttpError(400, `At most ${MAX_TEXT_LAYERS} text layers`);
+  }
+
+  return layers.map((layer, index) => {
+    const valid = layer && typeof layer.text === 'string' &&
+      ['x', 'y', 'width', 'height'].every(key => Number.isFinite(layer[key]));
+    if (!valid) {
+      throw new HttpError(400, `Text layer ${index + 1} needs text, x, y, width and height`);
+    }
+    return { text: normalize(layer.text), x: layer.x, y: layer.y, width: layer.width, height: layer.height, name: layer.name };
+  }).filter(layer => layer.text);
+}
+
+// Text layers of a Figma spec, scaled from CSS pixels to the rendered frame's pixels
+function figmaTextLayers(spec, scale = 1) {
+  return spec.elements
+    .filter(element => element.type === 'text' && normalize(element.text))
+    .map(element => ({
+      text: normalize(element.text),
+      name: element.name,
+      x: element.position.left * scale,
+      y: element.position.top * scale,
+      width: element.position.width * scale,
+      height: element.position.height * scale
+    }));
+}
+
+// Visible text on the page, one entry per block: text nodes are grouped under
+// their nearest non-inline ancestor so <strong> and links stay part of the
+// sentence they sit in. Walks the same tree as the element report and uses
+// the same selector scheme; boxes are in screenshot pixels.
+async function collectTextBoxes(page, scale = 1) {
+  return page.evaluate((maxBlocks, scale) => {
+    const getSelector = (el) => {
+      if (el.id) return `#${el.id}`;
+      if (el.className && typeof el.className === 'string') {
+        const classes = el.className.trim().split(/\s+/).filter(c => c).slice(0, 2);
+        if (classes.length) return `${el.tagName.toLowerCase()}.${classes.join('.')}`;
+      }
+      return el.tagName.toLowerCase();
+    };
+
+    const blockOf = (el) => {
+      let node = el;
+      while (node.parentElement && node !== document.body &&
+             window.getComputedStyle(node).display.startsWith('inline')) {
+        node = node.parentElement;
+      }
+      return node;
+    };
+
+    const blocks = new Map();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+
+    for (let node = walker.nextNode(); node && blocks.size <= maxBlocks; node = walker.nextNode()) {
+      const text = node.textContent.replace(/\s+/g, ' ').trim();
+      const parent = node.parentElement;
+      if (!text || !parent || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) continue;
+
+      const computed = window.getComputedStyle(parent);
+      if (computed.visibility === 'hidden' || parseFloat(computed.opacity) === 0) continue;
+
+      range.selectNodeContents(node);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const block = blockOf(parent);
+      if (!blocks.has(block)) {
+        blocks.set(block, { selector: getSelector(block), parts: [], left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+      }
+      const entry = blocks.get(block);
+      entry.parts.push(text);
+      entry.left = Math.min(entry.left, rect.left + window.scrollX);
+      entry.top = Math.min(entry.top, rect.top + window.scrollY);
+      entry.right = Math.max(entry.right, rect.right + window.scrollX);
+      entry.bottom = Math.max(entry.bottom, rect.bottom + window.scrollY);
+    }
+
+    return Array.from(blocks.values()).slice(0, maxBlocks).map(entry => ({
+      selector: entry.selector,
+      text: entry.parts.join(' '),
+      box: {
+        x: Math.round(entry.left * scale),
+        y: Math.round(entry.top * scale),
+        width: Math.round((entry.right - entry.left) * scale),
+        height: Math.round((entry.bottom - entry.top) * scale)
+      }
+    }));
+  }, MAX_TEXT_LAYERS, scale);
+}
+
+function unionBox(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+}
+
+function roundBox(box) {
+  return { x: Math.round(box.x), y: Math.round(box.y), width: Math.round(box.width), height: Math.round(box.height) };
+}
+
+// Word-level diff (longest common subsequence) of two strings.
+// Returns the operations and a similarity between 0 and 1.
+function wordDiff(expected, actual) {
+  const a = expected.split(' ').filter(Boolean);
+  const b = actual.split(' ').filter(Boolean);
+  const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += ` ${word}`;
+    else ops.push({ op, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  const total = a.length + b.length;
+  return { ops, similarity: total ? 2 * table[0][0] / total : 1 };
+}
+
+function overlapRatio(a, b) {
+  const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (w <= 0 || h <= 0) return 0;
+  return (w * h) / Math.min(a.width * a.height, b.width * b.height);
+}
+
+function centerDistance(a, b) {
+  return Math.hypot(a.x + a.width / 2 - (b.x + b.width / 2), a.y + a.height / 2 - (b.y + b.height / 2));
+}
+
+// Pair design text layers with page text by position and content, then report
+// what is missing, extra or changed. Layers are in design pixels and mapped
+// onto the comparison canvas with the alignment transform; page text boxes are
+// already in screenshot pixels.
+function diffText(layers, pageTexts, transform, { screenshotDpr = 1 } = {}) {
+  const design = layers.map(layer => ({ ...layer, box: designRectToCanvas(layer, transform) }));
+  const maxDistance = 120 * screenshotDpr;
+
+  const pairs = [];
+  design.forEach((layer, d) => {
+    pageTexts.forEach((text, p) => {
+      const distance = centerDistance(layer.box, text.box);
+      const overlap = overlapRatio(layer.box, text.box);
+      if (distance > maxDistance * 3 && !overlap) return;
+
+      const { similarity } = wordDiff(layer.text.toLowerCase(), text.text.toLowerCase());
+      const position = overlap ? 0.5 + overlap / 2 : Math.max(0, 1 - distance / maxDistance) * 0.5;
+      // Far-apart pairs only match on nearly identical wording
+      if (position < 0.25 && similarity < 0.8) return;
+      if (similarity < 0.2 && position < 0.5) return;
+
+      pairs.push({ d, p, score: similarity * 0.6 + position * 0.4 });
+    });
+  });
+
+  const usedDesign = new Set();
+  const usedPage = new Set();
+  const items = [];
+  let matched = 0;
+
+  for (const pair of pairs.sort((x, y) => y.score - x.score)) {
+    if (usedDesign.has(pair.d) || usedPage.has(pair.p)) continue;
+    usedDesign.add(pair.d);
+    usedPage.add(pair.p);
+
+    const layer = design[pair.d];
+    const text = pageTexts[pair.p];
+    if (layer.text === text.text) {
+      matched++;
+      continue;
+    }
+
+    const { ops, similarity } = wordDiff(layer.text, text.text);
+    items.push({
+      status: 'changed',
+      expected: layer.text,
+      actual: text.text,
+      caseOnly: layer.text.toLowerCase() === text.text.toLowerCase(),
+      similarity: parseFloat(similarity.toFixed(2)),
+      diff: ops,
+      layer: layer.name,
+      selector: text.selector,
+      box: text.box
+    });
+  }
+
+  design.forEach((layer, d) => {
+    if (!usedDesign.has(d)) {
+      items.push({ status: 'missing', expected: layer.text, layer: layer.name, box: layer.box });
+    }
+  });
+
+  // Only page text inside the area the design covers can be "extra"
+  const area = { x: transform.placement.left, y: transform.placement.top, width: transform.scaledSize.width, height: transform.scaledSize.height };
+  pageTexts.forEach((text, p) => {
+    if (!usedPage.has(p) && overlapRatio(area, text.box) > 0.5) {
+      items.push({ status: 'extra', actual: text.text, selector: text.selector, box: text.box });
+    }
+  });
+
+  const count = status => items.filter(item => item.status === status).length;
+  return {
+    designLayers: design.length,
+    pageTexts: pageTexts.length,
+    matched,
+    changed: count('changed'),
+    missing: count('missing'),
+    extra: count('extra'),
+    score: design.length ? parseFloat((matched / design.length * 100).toFixed(2)) : 100,
+    items: items.slice(0, MAX_REPORTED)
+  };
+}
+
+module.exports = { parseTextLayers, figmaTextLayers, collectTextBoxes, diffText, wordDiff };
@@ -0,0 +1,305 @@
+const { HttpError } = require('./errors');
+const { parseCssColor, toHex, rgbToLab, deltaE2000 } = require('./color');
+
+const CATEGORIES = ['fontFamily', 'fontSize', 'fontWeight', 'color', 'spacing'];
+const MAX_EXAMPLES = 5;
+
+const FONT_WEIGHT_NAMES = {
+  thin: 100, hairline: 100, extralight: 200, ultralight: 200, light: 300, normal: 400, regular: 400, book: 400,
+  medium: 500, semibold: 600, demibold: 600, bold: 700, extrabold: 800, ultrabold: 800, black: 900, heavy: 900
+};
+
+// Walk a W3C design tokens ($value/$type) or Style Dictionary (value/type)
+// tree and return every leaf as { name, type, value } with aliases resolved.
+function flattenTokens(tree) {
+  const raw = new Map();
+
+  const walk = (node, path, inheritedType) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    const groupType = node.$type || inheritedType;
+
+    if ('$value' in node || 'value' in node) {
+      raw.set(path.join('.'), { name: path.join('.'), type: node.$type || node.type || groupType, value: node.$value ?? node.value });
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      if (!key.startsWith('$')) walk(child, [...path, key], groupType);
+    }
+  };
+  walk(tree, [], undefined);
+
+  // Follow {group.token} references, refusing cycles
+  const resolve = (value, seen = new Set()) => {
+    if (typeof value === 'string') {
+      const alias = /^\{([^}]+)\}$/.exec(value.trim());
+      if (alias) {
+        const target = raw.get(alias[1]);
+        if (!target || seen.has(alias[1])) {
+          throw new HttpError(400, `Token reference ${value} cannot be resolved`);
+        }
+        return resolve(target.value, new Set([...seen, alias[1]]));
+      }
+      return value;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolve(v, seen)]));
+    }
+    return value;
+  };
+
+  return Array.from(raw.values()).map(token => ({ ...token, value: resolve(token.value, new Set([token.name])) }));
+}
+
+// Work out which check a token feeds from its type, falling back to the
+// Style Dictionary category/type path (color.*, size.font.*, font.family.* ...)
+// for untyped and dimension tokens. Other declared types (number, duration,
+// shadow ...) feed no check, except numeric font weights.
+function categorize(token) {
+  const type = (token.type || '').toLowerCase();
+  const path = token.name.toLowerCase().split('.').map(part => part.replace(/[-_\s]/g, ''));
+  const has = (...words) => path.some(part => words.some(word => part.includes(word)));
+
+  if (type === 'color') return 'color';
+  if (type === 'fontfamily') return 'fontFamily';
+  if (type === 'fontweight') return 'fontWeight';
+  if (type === 'fontsize') return 'fontSize';
+  if (type === 'typography') return 'typography';
+  if (type && type !== 'dimension') return type === 'number' && has('weight') ? 'fontWeight' : null;
+
+  if (!type && path[0] === 'color') return 'color';
+  if (!type && has('family')) return 'fontFamily';
+  if (has('weight')) return 'fontWeight';
+  // Line height and letter spacing are neither font sizes nor spacing steps
+  if (has('lineheight', 'letterspacing')) return null;
+  if (has('spacing', 'space', 'gap', 'margin', 'padding', 'inset')) return 'spacing';
+  if (has('font', 'text', 'typography')) return 'fontSize';
+  return null;
+}
+
+function parsePx(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'object' && value && 'value' in value) {
+    return value.unit === 'rem' || value.unit === 'em' ? value.value * 16 : Number(value.value);
+  }
+  const match = /^(-?[\d.]+)(px|rem|em)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * 16 : number;
+}
+
+function parseWeight(value) {
+  if (typeof value === 'number') return value;
+  const key = String(value).toLowerCase().replace(/[\s-]/g, '');
+  return FONT_WEIGHT_NAMES[key] ?? (parseInt(value) || null);
+}
+
+function primaryFamily(value) {
+  const family = Array.isArray(value) ? value[0] : String(value).split(',')[0];
+  return (family || '').replace(/['"]/g, '').trim();
+}
+
+// Build the allowed value sets per category from a token file
+function parseTokenSet(tree) {
+  if (!tree || typeof tree !== 'object') {
+    throw new HttpError(400, 'tokens must be a design token JSON object');
+  }
+
+  const set = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+  const add = (category, name, value) => {
+    let parsed = null;
+    if (category === 'color') {
+      const rgba = parseCssColor(typeof value === 'object' && value?.hex ? value.hex : value);
+      parsed = rgba && { rgba, lab: rgbToLab(rgba[0], rgba[1], rgba[2]) };
+    } else if (category === 'fontFamily') {
+      parsed = primaryFamily(value) || null;
+    } else if (category === 'fontWeight') {
+      parsed = parseWeight(value);
+    } else {
+      parsed = parsePx(value);
+    }
+    if (parsed !== null && parsed !== undefined) set[category].push({ name, value, parsed });
+  };
+
+  for (const token of flattenTokens(tree)) {
+    const category = categorize(token);
+    if (category === 'typography' && token.value && typeof token.value === 'object') {
+      // Composite typography tokens contribute each of their parts
+      if (token.value.fontFamily) add('fontFamily', `${token.name}.fontFamily`, token.value.fontFamily);
+      if (token.value.fontSize) add('fontSize', `${token.name}.fontSize`, token.value.fontSize);
+      if (token.value.fontWeight) add('fontWeight', `${token.name}.fontWeight`, token.value.fontWeight);
+    } else if (category && category !== 'typography') {
+      add(category, token.name, token.value);
+    }
+  }
+
+  if (!CATEGORIES.some(category => set[category].length)) {
+    throw new HttpError(400, 'No font, color or spacing tokens found in tokens');
+  }
+  return set;
+}
+
+// Collect every computed font, colour and spacing value on the page together
+// with the element using it. Follows /api/inspect's element set and selectors.
+async function collectStyleUsage(page, targetSelector, { limit = 2000 } = {}) {
+  return page.evaluate((targetSelector, limit) => {
+    const getSelector = (el) => {
+      if (el.id) return `#${el.id}`;
+      if (el.className && typeof el.className === 'string') {
+        const classes = el.className.trim().split(/\s+/).filter(c => c).slice(0, 2);
+        if (classes.length) return `${el.tagName.toLowerCase()}.${classes.join('.')}`;
+      }
+      return el.tagName.toLowerCase();
+    };
+
+    const elements = targetSelector
+      ? document.querySelectorAll(targetSelector)
+      : document.querySelectorAll('h1, h2, h3, h4, h5, h6, p, a, button, span, div, section, header, footer, nav, img, input, label, li, td, th');
+
+    const usage = [];
+    for (const el of Array.from(elements).slice(0, limit)) {
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const computed = window.getComputedStyle(el);
+      const selector = getSelector(el);
+      const push = (category, property, value) => usage.push({ category, property, value, selector });
+
+      // Text styles only matter where the element renders text of its own
+      const hasText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+      if (hasText) {
+        push('fontFamily', 'font-family', computed.fontFamily);
+        push('fontSize', 'font-size', computed.fontSize);
+        push('fontWeight', 'font-weight', computed.fontWeight);
+        push('color', 'color', computed.color);
+      }
+
+      if (computed.backgroundColor !== 'rgba(0, 0, 0, 0)') {
+        push('color', 'background-color', computed.backgroundColor);
+      }
+      if (parseFloat(computed.borderTopWidth) > 0 && computed.borderTopStyle !== 'none') {
+        push('color', 'border-color', computed.borderTopColor);
+      }
+
+      for (const property of ['margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+        'padding-top', 'padding-right', 'padding-bottom', 'padding-left', 'row-gap', 'column-gap']) {
+        const value = computed.getPropertyValue(property);
+        if (parseFloat(value) && value.endsWith('px')) push('spacing', property, value);
+      }
+    }
+    return usage;
+  }, targetSelector, limit);
+}
+
+// Nearest allowed token for one computed value: { token, distance }
+function nearestToken(category, value, tokens) {
+  let best = null;
+
+  for (const token of tokens) {
+    let distance;
+    if (category === 'color') {
+      distance = deltaE2000(value.lab, token.parsed.lab);
+      // A translucent value never matches an opaque token exactly
+      distance += Math.abs((value.rgba[3] ?? 1) - (token.parsed.rgba[3] ?? 1)) * 100;
+    } else if (category === 'fontFamily') {
+      distance = value.toLowerCase() === token.parsed.toLowerCase() ? 0 : editDistance(value.toLowerCase(), token.parsed.toLowerCase());
+    } else {
+      distance = Math.abs(value - token.parsed);
+    }
+    if (!best || distance < best.distance) best = { token, distance };
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function parseComputed(category, value) {
+  if (category === 'color') {
+    const rgba = parseCssColor(value);
+    return rgba && { rgba, lab: rgbToLab(rgba[0], rgba[1], rgba[2]) };
+  }
+  if (category === 'fontFamily') return primaryFamily(value);
+  if (category === 'fontWeight') return parseWeight(value);
+  return Math.abs(parsePx(value));
+}
+
+// Check every collected value against the token set. A value conforms when
+// its nearest token is within tolerance (ΔE2000 for colours, px for sizes).
+function checkConformance(usage, tokenSet, { colorTolerance = 2.3, sizeTolerance = 0.5 } = {}) {
+  const categories = {};
+  let checked = 0;
+  let conforming = 0;
+
+  for (const category of CATEGORIES) {
+    const tokens = tokenSet[category];
+    if (!tokens.length) continue;
+
+    const tolerance = category === 'color' ? colorTolerance : category === 'fontFamily' || category === 'fontWeight' ? 0 : sizeTolerance;
+    const offTokens = new Map();
+    let categoryChecked = 0;
+    let categoryConforming = 0;
+
+    for (const entry of usage.filter(u => u.category === category)) {
+      const value = parseComputed(category, entry.value);
+      if (value === null || value === undefined || value === '') continue;
+
+      categoryChecked++;
+      const nearest = nearestToken(category, value, tokens);
+      if (nearest.distance <= tolerance) {
+        categoryConforming++;
+        continue;
+      }
+
+      const key = category === 'color' ? toHex(value.rgba) + (value.rgba[3] < 1 ? `@${value.rgba[3]}` : '') : String(value);
+      if (!offTokens.has(key)) {
+        offTokens.set(key, {
+          value: entry.value,
+          nearest: {
+            token: nearest.token.name,
+            value: nearest.token.value,
+            distance: parseFloat(nearest.distance.toFixed(2))
+          },
+          properties: [],
+          count: 0,
+          elements: []
+        });
+      }
+      const violation = offTokens.get(key);
+      violation.count++;
+      if (!violation.properties.includes(entry.property)) violation.properties.push(entry.property);
+      if (violation.elements.length < MAX_EXAMPLES && !violation.elements.includes(entry.selector)) {
+        violation.elements.push(entry.selector);
+      }
+    }
+
+    checked += categoryChecked;
+    conforming += categoryConforming;
+    categories[category] = {
+      tokens: tokens.length,
+      checked: categoryChecked,
+      conforming: categoryConforming,
+      score: categoryChecked ? parseFloat((categoryConforming / categoryChecked * 100).toFixed(2)) : 100,
+      violations: Array.from(offTokens.values()).sort((a, b) => b.count - a.count)
+    };
+  }
+
+  return {
+    score: checked ? parseFloat((conforming / checked * 100).toFixed(2)) : 100,
+    checked,
+    conforming,
+    tolerances: { color: colorTolerance, size: sizeTolerance },
+    categories
+  };
+}
+
+module.exports = { flattenTokens, parseTokenSet, collectStyleUsage, checkConformance, parsePx, parseWeight, primaryFamily };
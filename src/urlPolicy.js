@@ -0,0 +1,207 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { Agent } = require('undici');
+const { UrlPolicyError } = require('./errors');
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Page-internal URLs never reach the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 ? false : PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// "example.com" matches that host only, "*.example.com" any subdomain of it
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith('*.')) return hostname.endsWith(pattern.slice(1));
+  return hostname === pattern;
+}
+
+function toList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Decides which URLs the capture browser may load: an allowlist of schemes,
+// host allow/deny patterns and, unless allowPrivate is set, no hosts that
+// resolve to private, loopback or link-local addresses. Verdicts per host are
+// cached briefly since every subresource goes through check().
+//
+// check() resolves the host itself, and whoever connects afterwards resolves
+// it again, so a host that re-points its DNS (rebinding) can pass check() and
+// then be reached on a private address. Requests the server makes go through
+// dispatcher(), which connects only to addresses checked at connect time.
+// Chromium does its own resolution; guardPage() can only notice a private
+// address on the response and fail the capture then, after the request has
+// been made. Deployments that must rule out such requests should give the
+// browser an egress proxy or firewall that refuses private ranges.
+class UrlPolicy {
+  constructor({ schemes = ['http', 'https'], allowHosts = [], denyHosts = [], allowPrivate = false, lookup = dns.lookup, cacheTtl = 60000 } = {}) {
+    this.schemes = schemes.map(scheme => `${scheme.replace(/:$/, '')}:`);
+    this.allowHosts = allowHosts;
+    this.denyHosts = denyHosts;
+    this.allowPrivate = allowPrivate;
+    this.lookup = lookup;
+    this.cacheTtl = cacheTtl;
+    this.cache = new Map();
+    this._dispatcher = null;
+  }
+
+  // Private-address verdict for a resolved address, or null when it may be used
+  _checkAddress(hostname, address) {
+    if (this.allowPrivate || !isPrivateAddress(address)) return null;
+    return `Host ${hostname} resolves to a private or reserved address (${address})`;
+  }
+
+  // dns.lookup for outgoing connections: resolves hostname once, refuses
+  // private addresses and connects to exactly the addresses it checked
+  connectLookup(hostname, options, callback) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const resolve = net.isIP(host)
+      ? Promise.resolve([{ address: host, family: net.isIP(host) }])
+      : this.lookup(host, { all: true, verbatim: true });
+
+    resolve.then((addresses) => {
+      for (const { address } of addresses) {
+        const error = this._checkAddress(host, address);
+        if (error) throw new UrlPolicyError(error, hostname);
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    }).catch(error => callback(error));
+  }
+
+  // An undici dispatcher for fetch() whose connections use connectLookup
+  dispatcher() {
+    if (!this._dispatcher) {
+      this._dispatcher = new Agent({ connect: { lookup: (hostname, options, callback) => this.connectLookup(hostname, options, callback) } });
+    }
+    return this._dispatcher;
+  }
+
+  // Resolves when url may be loaded, rejects with a UrlPolicyError otherwise.
+  // Subresources may also use data:, blob: and about: URLs.
+  async check(url, { subresource = false } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new UrlPolicyError(`Invalid URL: ${url}`, url, 400);
+    }
+
+    if (subresource && LOCAL_SCHEMES.includes(parsed.protocol)) return;
+    if (!this.schemes.includes(parsed.protocol)) {
+      throw new UrlPolicyError(`URL scheme ${parsed.protocol} is not allowed (allowed: ${this.schemes.join(', ')})`, url, 400);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const cached = this.cache.get(hostname);
+    if (cached && cached.expires > Date.now()) {
+      if (cached.error) throw new UrlPolicyError(cached.error, url);
+      return;
+    }
+
+    const error = await this._checkHost(hostname);
+    this.cache.set(hostname, { error, expires: Date.now() + this.cacheTtl });
+    if (error) throw new UrlPolicyError(error, url);
+  }
+
+  async _checkHost(hostname) {
+    if (this.denyHosts.some(pattern => matchesHost(hostname, pattern))) {
+      return `Host ${hostname} is blocked by the URL policy`;
+    }
+    if (this.allowHosts.length && !this.allowHosts.some(pattern => matchesHost(hostname, pattern))) {
+      return `Host ${hostname} is not in the URL policy allowlist`;
+    }
+    if (this.allowPrivate) return null;
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await this.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+      } catch (error) {
+        return `Could not resolve host ${hostname}`;
+      }
+    }
+
+    for (const address of addresses) {
+      const error = this._checkAddress(hostname, address);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // Check every request the page makes, redirects and subresources included,
+  // and abort the ones outside the policy. The returned guard lists what was
+  // blocked; guard.error is set when the page's own navigation was refused or
+  // anything was served from a private address. Callers must not use the page
+  // once guard.error is set.
+  // headersFor(request) may return extra headers for a request it lets through.
+  // intercept(request) sees each request first and may settle it without the
+  // network: { respond } fulfils it, { abort: true } blocks it.
+  async guardPage(page, { headersFor, intercept } = {}) {
+    const guard = { blocked: [], error: null };
+
+    await page.setBypassServiceWorker(true);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      const navigation = request.isNavigationRequest() && request.frame() === page.mainFrame();
+
+      const handled = intercept?.(request);
+      if (handled) {
+        (handled.respond ? request.respond(handled.respond) : request.abort('blockedbyclient')).catch(() => {});
+        return;
+      }
+
+      this.check(request.url(), { subresource: !navigation })
+        .then(() => {
+          const headers = headersFor?.(request);
+          return request.continue(headers ? { headers: { ...request.headers(), ...headers } } : undefined);
+        }, (error) => {
+          console.log(`[UrlPolicy] Blocked ${request.url()}: ${error.message}`);
+          if (guard.blocked.length < 50) guard.blocked.push({ url: request.url(), reason: error.message });
+          if (navigation && !guard.error) guard.error = error;
+          return request.abort('blockedbyclient');
+        })
+        // The page may close while a check is pending
+        .catch(() => {});
+    });
+
+    // Chromium resolves hosts itself; a response from a private address means
+    // the host re-pointed its DNS after check(), so the capture must not be used
+    page.on('response', (response) => {
+      const ip = response.remoteAddress()?.ip?.replace(/^\[|\]$/g, '');
+      const error = ip && net.isIP(ip) && this._checkAddress(new URL(response.url()).hostname, ip);
+      if (!error) return;
+
+      console.log(`[UrlPolicy] ${response.url()} was served from ${ip}`);
+      if (guard.blocked.length < 50) guard.blocked.push({ url: response.url(), reason: error });
+      if (!guard.error) guard.error = new UrlPolicyError(error, response.url());
+    });
+
+    return guard;
+  }
+}
+
+const urlPolicy = new UrlPolicy({
+  schemes: toList(process.env.URL_POLICY_SCHEMES || 'http,https'),
+  allowHosts: toList(process.env.URL_POLICY_ALLOW_HOSTS),
+  denyHosts: toList(process.env.URL_POLICY_DENY_HOSTS),
+  allowPrivate: process.env.URL_POLICY_ALLOW_PRIVATE === 'true'
+});
+
+module.exports = { UrlPolicy, urlPolicy, isPrivateAddress };
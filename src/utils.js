@@ -0,0 +1,28 @@
+const { HttpError } = require('./errors');
+
+// Short random id used for results and jobs
+function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Form fields arrive as strings, JSON bodies as booleans
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Structured options arrive as JSON strings in multipart forms and as objects in JSON bodies
+function parseJsonField(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new HttpError(400, `${name} must be valid JSON`);
+  }
+}
+
+module.exports = { createId, sleep, isTruthy, parseJsonField };
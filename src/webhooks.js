@@ -0,0 +1,345 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { fetch } = require('undici');
+const { urlPolicy } = require('./urlPolicy');
+const { HttpError } = require('./errors');
+const { createId } = require('./utils');
+
+// Completion callbacks and per-project webhooks.
+//
+// Testing with a local receiver: localhost is a private address, so the URL
+// policy refuses it as a callbackUrl unless the server runs with
+// URL_POLICY_ALLOW_PRIVATE=true (the CLI allows private hosts already). Any
+// HTTP server that logs POST bodies will do, e.g.
+//
+//   node -e "require('http').createServer((req, res) => {
+//     let body = ''; req.on('data', c => body += c);
+//     req.on('end', () => { console.log(req.headers['x-perfect-pixel-signature'], body); res.end(); });
+//   }).listen(4000)"
+//
+// then send callbackUrl=http://localhost:4000/ and callbackSecret=<secret>
+// with a comparison. To check a signature, compare the header with
+// sign(body, secret) from this module. Answering 5xx shows the retries in
+// GET /api/webhooks/deliveries.
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+const DELIVERY_TIMEOUT = 10000;
+const MAX_LOGGED_DELIVERIES = 1000;
+const MAX_PROJECT_WEBHOOKS = 10;
+
+// HMAC-SHA256 of the raw body, sent as "X-Perfect-Pixel-Signature: sha256=<hex>"
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function parseThreshold(value) {
+  if (value === undefined || value === '') return undefined;
+  const threshold = Number(value);
+  if (!(threshold >= 0 && threshold <= 100)) {
+    throw new HttpError(400, 'threshold must be a match percentage between 0 and 100');
+  }
+  return threshold;
+}
+
+// callbackUrl, callbackSecret (falls back to WEBHOOK_SECRET) and
+// callbackThreshold from a request body; null when no callback is asked for.
+// The URL is held to the URL policy since the server itself will call it.
+async function parseCallback(body = {}) {
+  if (!body.callbackUrl) return null;
+
+  const secret = body.callbackSecret || process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    throw new HttpError(400, 'callbackSecret is required to sign callbacks (or set WEBHOOK_SECRET)');
+  }
+  await urlPolicy.check(body.callbackUrl);
+
+  return { url: body.callbackUrl, secret, threshold: parseThreshold(body.callbackThreshold) };
+}
+
+function isBatch(outcome) {
+  return Array.isArray(outcome.items);
+}
+
+// Lowest match percentage of a result or batch, for threshold checks
+function worstMatch(outcome) {
+  return isBatch(outcome) ? outcome.summary?.minMatchPercentage : outcome.stats?.matchPercentage;
+}
+
+// JSON body of a delivery. `outcome` is a stored result or a batch record;
+// failed jobs pass `error` instead.
+function buildPayload({ outcome, error, jobId, threshold, project, baseUrl }) {
+  const base = {
+    timestamp: new Date().toISOString(),
+    project,
+    jobId,
+    threshold
+  };
+
+  if (error) {
+    return { event: 'job.failed', ...base, error };
+  }
+
+  const worst = worstMatch(outcome);
+  const below = threshold !== undefined && worst !== null && worst !== undefined && worst < threshold;
+
+  if (isBatch(outcome)) {
+    return {
+      event: below ? 'batch.below_threshold' : 'batch.completed',
+      ...base,
+      batchId: outcome.id,
+      url: outcome.url,
+      summary: outcome.summary,
+      // The worst items stand in for regions on a batch
+      worstItems: outcome.items
+        .filter(item => !item.error)
+        .sort((a, b) => a.stats.matchPercentage - b.stats.matchPercentage)
+        .slice(0, 5)
+        .map(item => ({ name: item.name, matchPercentage: item.stats.matchPercentage, resultUrl: `${baseUrl}${item.resultUrl}` })),
+      links: {
+        batch: `${baseUrl}/api/batch/${outcome.id}`,
+        report: `${baseUrl}/api/batch/${outcome.id}/report.html`
+      }
+    };
+  }
+
+  return {
+    event: below ? 'comparison.below_threshold' : 'comparison.completed',
+    ...base,
+    resultId: outcome.id,
+    url: outcome.capture?.url,
+    stats: outcome.stats,
+    topRegions: (outcome.regions || []).filter(region => region.diffPixels > 0).slice(0, 5),
+    baseline: outcome.baseline,
+    links: {
+      result: `${baseUrl}/api/result/${outcome.id}`,
+      report: `${baseUrl}/api/result/${outcome.id}/report.html`,
+      images: Object.fromEntries((outcome.images || []).map(name => [name, `${baseUrl}/api/result/${outcome.id}/${name}.png`]))
+    }
+  };
+}
+
+// Per-project default webhooks in a JSON file
+class WebhookStore {
+  constructor(file) {
+    this.file = file;
+    this.hooks = null;
+    this.writing = Promise.resolve();
+  }
+
+  async _load() {
+    if (!this.hooks) {
+      try {
+        this.hooks = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.hooks = [];
+      }
+    }
+    return this.hooks;
+  }
+
+  _save() {
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(`${this.file}.tmp`, JSON.stringify(this.hooks, null, 2));
+      await fs.rename(`${this.file}.tmp`, this.file);
+    });
+    return this.writing;
+  }
+
+  // Register a webhook; the secret is generated unless given and is only
+  // returned here
+  async create(project, { url, secret, threshold, onlyBelowThreshold } = {}) {
+    if (!url) {
+      throw new HttpError(400, 'url is required');
+    }
+    await urlPolicy.check(url);
+
+    const hooks = await this._load();
+    if (hooks.filter(hook => hook.project === project).length >= MAX_PROJECT_WEBHOOKS) {
+      throw new HttpError(400, `At most ${MAX_PROJECT_WEBHOOKS} webhooks per project`);
+    }
+
+    const hook = {
+      id: createId(),
+      project,
+      url,
+      secret: secret || crypto.randomBytes(24).toString('base64url'),
+      threshold: parseThreshold(threshold),
+      onlyBelowThreshold: onlyBelowThreshold === true || onlyBelowThreshold === 'true',
+      createdAt: new Date().toISOString()
+    };
+    hooks.push(hook);
+    await this._save();
+    console.log(`[Webhooks] Registered ${hook.id} for project ${project}`);
+    return hook;
+  }
+
+  // Webhooks of a project, secrets included (for delivery)
+  async forProject(project) {
+    const hooks = await this._load();
+    return hooks.filter(hook => hook.project === project);
+  }
+
+  async list(project) {
+    return (await this.forProject(project)).map(({ secret, ...hook }) => hook);
+  }
+
+  async remove(project, id) {
+    const hooks = await this._load();
+    const index = hooks.findIndex(hook => hook.id === id && hook.project === project);
+    if (index === -1) {
+      throw new HttpError(404, 'Webhook not found');
+    }
+    hooks.splice(index, 1);
+    await this._save();
+  }
+}
+
+// Signs and POSTs payloads, retrying failures with exponential backoff
+// (RETRY_BASE_MS, doubled per attempt). Every delivery is kept in an
+// in-memory log with its attempts.
+class WebhookDispatcher {
+  constructor({ fetch: fetchImpl = fetch, maxAttempts = MAX_ATTEMPTS, retryBase = RETRY_BASE_MS } = {}) {
+    this.fetch = fetchImpl;
+    this.maxAttempts = maxAttempts;
+    this.retryBase = retryBase;
+    this.deliveries = new Map();
+  }
+
+  // Queue a delivery of payload to target ({ url, secret, webhookId? })
+  send(target, payload) {
+    const delivery = {
+      id: createId(),
+      event: payload.event,
+      url: target.url,
+      webhookId: target.webhookId,
+      project: payload.project,
+      resultId: payload.resultId,
+      batchId: payload.batchId,
+      jobId: payload.jobId,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString()
+    };
+    const body = JSON.stringify({ id: delivery.id, ...payload });
+
+    this.deliveries.set(delivery.id, delivery);
+    this._trim();
+    this._attempt(delivery, body, target.secret);
+    return delivery;
+  }
+
+  async _attempt(delivery, body, secret) {
+    const started = Date.now();
+    let outcome;
+
+    try {
+      // Re-checked per attempt: the host may have started resolving elsewhere.
+      // The dispatcher re-checks the address it actually connects to.
+      await urlPolicy.check(delivery.url);
+      const response = await this.fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'perfect-pixel-webhooks',
+          'X-Perfect-Pixel-Event': delivery.event,
+          'X-Perfect-Pixel-Delivery': delivery.id,
+          'X-Perfect-Pixel-Signature': sign(body, secret)
+        },
+        body,
+        redirect: 'manual',
+        dispatcher: urlPolicy.dispatcher(),
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+      });
+      // Retry server errors and throttling, not other client errors
+      outcome = { statusCode: response.status, ok: response.ok, retry: response.status >= 500 || response.status === 429 };
+    } catch (error) {
+      // A connection the policy's dispatcher refused fails with the policy error as cause
+      const cause = error.cause?.status ? error.cause : error;
+      outcome = { error: cause.message, ok: false, retry: !cause.status };
+    }
+
+    delivery.attempts.push({
+      at: new Date(started).toISOString(),
+      statusCode: outcome.statusCode,
+      error: outcome.error,
+      durationMs: Date.now() - started
+    });
+
+    if (outcome.ok) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      console.log(`[Webhooks] Delivered ${delivery.event} to ${delivery.url}`);
+      return;
+    }
+
+    if (outcome.retry && delivery.attempts.length < this.maxAttempts) {
+      const delay = this.retryBase * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.log(`[Webhooks] Delivery to ${delivery.url} failed (${outcome.statusCode || outcome.error}), retrying in ${delay}ms`);
+      setTimeout(() => this._attempt(delivery, body, secret), delay).unref();
+      return;
+    }
+
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`[Webhooks] Giving up on ${delivery.url} after ${delivery.attempts.length} attempts`);
+  }
+
+  _trim() {
+    for (const [id, delivery] of this.deliveries) {
+      if (this.deliveries.size <= MAX_LOGGED_DELIVERIES) break;
+      if (delivery.status !== 'pending') this.deliveries.delete(id);
+    }
+  }
+
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  // Newest first, filtered by project, resultId, batchId or jobId
+  list(filter = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => Object.entries(filter).every(([key, value]) => value === undefined || delivery[key] === value))
+      .reverse();
+  }
+}
+
+// Send the outcome of a comparison, batch or failed job to the request's
+// callback and the project's webhooks. Project webhooks with
+// onlyBelowThreshold skip outcomes at or above their threshold.
+async function notify({ callback, project, outcome, error, jobId, baseUrl }, { store = webhookStore, dispatcher = webhookDispatcher } = {}) {
+  const targets = [];
+  if (callback) targets.push({ url: callback.url, secret: callback.secret, threshold: callback.threshold });
+  if (project) {
+    for (const hook of await store.forProject(project)) {
+      targets.push({ url: hook.url, secret: hook.secret, threshold: hook.threshold, webhookId: hook.id, onlyBelowThreshold: hook.onlyBelowThreshold });
+    }
+  }
+
+  for (const target of targets) {
+    const payload = buildPayload({ outcome, error, jobId, threshold: target.threshold, project, baseUrl });
+    if (target.onlyBelowThreshold && !payload.event.endsWith('below_threshold') && payload.event !== 'job.failed') continue;
+    dispatcher.send(target, payload);
+  }
+}
+
+const webhookStore = new WebhookStore(
+  process.env.WEBHOOKS_FILE || path.join(__dirname, '..', 'data', 'webhooks.json')
+);
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = {
+  WebhookStore,
+  WebhookDispatcher,
+  webhookStore,
+  webhookDispatcher,
+  parseCallback,
+  buildPayload,
+  notify,
+  sign
+};